@@ -0,0 +1,79 @@
+// Clean Drop Runner - spawn spacing check
+// Plays endless runs on every difficulty (no browser needed) and checks that no
+// barrel, gap or puddle passes the player within the pipe run-out (PIPE_RUN_OUT
+// seconds at the speed it spawned at) of an overhead pipe, before or after it.
+//
+// Usage (from the project folder):
+//   node checks/spawn-spacing.js
+// Prints any pair that is too close and exits with code 1 if there was one.
+
+const {
+	createGame,
+	SIM_STEP,
+	PIPE_RUN_OUT
+} = require('../game-core.js');
+
+const DIFFICULTIES = ['Easy', 'Normal', 'Hard'];
+const SEEDS = 20;         // runs per difficulty
+const RUN_SECONDS = 120;  // long enough for the speed bumps to pile up
+
+/* Play one run with the player parked off-screen (so nothing hits them and the run
+   never ends) and note where each hazard reaches and passes the player's spot.
+   Positions are measured in scrolled distance, so a speed bump between two hazards
+   doesn't change the room between them. */
+function recordHazards(difficulty, seed) {
+	const game = createGame({ seed, difficulty });
+	const state = game.state;
+	const player = state.player;
+	const front = player.homeX + player.width;
+	const seen = new Map();
+
+	for (let t = 0; t < RUN_SECONDS; t += SIM_STEP) {
+		player.x = -500;
+		game.step(SIM_STEP, {});
+		const hazards = state.obstacles.filter(o => o.pipe || o.barrel || o.puddle).concat(state.gaps);
+		hazards.forEach(h => {
+			if (!seen.has(h)) seen.set(h, { hazard: h, speed: state.gameSpeed, reached: null, passed: null });
+			const entry = seen.get(h);
+			if (entry.reached === null && h.x <= front) entry.reached = state.distance;
+			if (entry.passed === null && h.x + h.w <= player.homeX) entry.passed = state.distance;
+		});
+	}
+	// only hazards that made it all the way past the player are compared
+	return [...seen.values()].filter(e => e.passed !== null);
+}
+
+/* Short name of a hazard for the report */
+function describe(h) {
+	if (h.pipe) return 'pipe';
+	if (h.rolling) return 'rolling barrel';
+	if (h.barrel) return 'barrel';
+	if (h.puddle) return 'puddle';
+	return 'gap';
+}
+
+let failures = 0;
+let checked = 0;
+DIFFICULTIES.forEach(difficulty => {
+	for (let seed = 1; seed <= SEEDS; seed++) {
+		const entries = recordHazards(difficulty, seed);
+		const pipes = entries.filter(e => e.hazard.pipe);
+		const others = entries.filter(e => !e.hazard.pipe);
+		pipes.forEach(pipe => {
+			others.forEach(other => {
+				checked++;
+				// run-out at the slower of the two spawn speeds, less a step of rounding
+				const speed = Math.min(pipe.speed, other.speed);
+				const needed = PIPE_RUN_OUT * speed - 2 * speed * SIM_STEP;
+				const room = Math.max(other.reached - pipe.passed, pipe.reached - other.passed);
+				if (room < needed) {
+					failures++;
+					console.log(`${difficulty} seed ${seed}: ${describe(other.hazard)} ${room.toFixed(1)}px from a pipe (needs ${needed.toFixed(1)}px)`);
+				}
+			});
+		});
+	}
+});
+
+console.log(`${checked} pipe/hazard pairs checked, ${failures} too close`);
+if (failures > 0) process.exit(1);
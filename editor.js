@@ -0,0 +1,577 @@
+/* ============
+   Level editor
+   ============
+   Builds campaign stages (the levels/*.json format described in game-core.js)
+   without touching code. Loaded after script.js and reuses its entity drawing
+   helpers (drawObstacle, drawCollectible, drawPowerup, drawFinishFlag, drawDrop)
+   and its display palette().
+
+   The stage view shows exactly what the game shows once `editorScroll` pixels
+   have been scrolled: a placement appears at x = WORLD_WIDTH + 10 + at - distance,
+   the same formula the core uses when it spawns it. Placements with a negative
+   `at` are already on screen when the stage starts.
+
+   The stage being edited is kept in localStorage under 'cdr-editor-draft' so a
+   test play (or a page reload) never loses work. */
+
+const EDITOR_DRAFT_KEY = 'cdr-editor-draft';
+const EDITOR_SNAP = 10;            // placements snap to multiples of this distance
+const EDITOR_SPAWN_X = WORLD_WIDTH + 10;
+const EDITOR_PLAYER_X = 80;        // where the player stands (matches game-core.js)
+
+/* New placements from the palette. Sizes are written out so the stage always
+   plays the same (game-core.js only rolls sizes that a placement leaves out). */
+const EDITOR_ENTITIES = {
+	barrel: () => ({ type: 'barrel', w: 38, h: 48 }),
+	rolling: () => ({ type: 'barrel', rolling: true, h: 40, rollSpeed: 80 }),
+	jerry: () => ({ type: 'jerry', w: 34, h: 42 }),
+	pipe: () => ({ type: 'pipe', w: 70 }),
+	gap: () => ({ type: 'gap', w: 70 }),
+	puddle: () => ({ type: 'puddle', w: 60 }),
+	collectible: () => ({ type: 'collectible', height: 110 }),
+	filter: () => ({ type: 'powerup', power: 'filter', height: 120 }),
+	pump: () => ({ type: 'powerup', power: 'pump', height: 120 }),
+	well: () => ({ type: 'powerup', power: 'well', height: 120 }),
+	magnet: () => ({ type: 'powerup', power: 'magnet', height: 120 }),
+	shield: () => ({ type: 'powerup', power: 'shield', height: 120 }),
+	slowmo: () => ({ type: 'powerup', power: 'slowmo', height: 120 }),
+	doubler: () => ({ type: 'powerup', power: 'doubler', height: 120 })
+};
+
+// Editor UI elements
+const editorScreen = document.getElementById('editor-screen');
+const editorBtn = document.getElementById('editor-btn');
+const editorCanvas = document.getElementById('editor-canvas');
+const editorCtx = editorCanvas ? editorCanvas.getContext('2d') : null;
+const editorTimeline = document.getElementById('editor-timeline');
+const editorTimelineCtx = editorTimeline ? editorTimeline.getContext('2d') : null;
+const editorScrollInput = document.getElementById('editor-scroll');
+const editorInspector = document.getElementById('editor-inspector');
+const editorPalette = document.getElementById('editor-palette');
+const editorFileInput = document.getElementById('editor-file');
+const editorOpenStage = document.getElementById('editor-open-stage');
+const editorFields = {
+	name: document.getElementById('editor-name'),
+	speed: document.getElementById('editor-speed'),
+	lives: document.getElementById('editor-lives'),
+	goal: document.getElementById('editor-goal'),
+	stars: [1, 2, 3].map(n => document.getElementById(`editor-star-${n}`))
+};
+
+let editorLevel = null;   // stage being edited
+let editorScroll = 0;     // distance scrolled in the stage view
+let editorSelected = -1;  // index of the selected placement (-1 = none)
+let editorDrag = null;    // { index, dx, dy } when moving an entity, { pan, startX, startScroll } when scrolling
+
+/* A fresh, empty stage */
+function createBlankLevel() {
+	return {
+		id: 'my-stage',
+		name: 'My Stage',
+		difficulty: 'Normal',
+		speed: 180,
+		lives: 3,
+		goal: { distance: 4000 },
+		stars: [40, 70, 100],
+		placements: []
+	};
+}
+
+function loadEditorDraft() {
+	try {
+		const saved = JSON.parse(localStorage.getItem(EDITOR_DRAFT_KEY));
+		if (saved) return normalizeLevel(saved);
+	} catch (e) {
+		// no draft or a broken one: start blank
+	}
+	return createBlankLevel();
+}
+
+function saveEditorDraft() {
+	localStorage.setItem(EDITOR_DRAFT_KEY, JSON.stringify(editorLevel));
+}
+
+/* Turn a name into a file-friendly id ("Stomp School" -> "stomp-school") */
+function slugify(text) {
+	return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'stage';
+}
+
+/* ------------------------------
+   Geometry: placements <-> screen
+   ------------------------------ */
+
+/* The entity a placement turns into, positioned for the current scroll
+   (sizes match the spawn helpers in game-core.js) */
+function placementEntity(p) {
+	const x = EDITOR_SPAWN_X + p.at - editorScroll;
+	if (p.type === 'barrel' && p.rolling) return { x, y: WORLD_HEIGHT - p.h - GROUND_OFFSET, w: p.h, h: p.h, barrel: true, rolling: true };
+	if (p.type === 'barrel') return { x, y: WORLD_HEIGHT - p.h - GROUND_OFFSET, w: p.w, h: p.h, barrel: true };
+	if (p.type === 'jerry') return { x, y: WORLD_HEIGHT - p.h - GROUND_OFFSET, w: p.w, h: p.h, jerry: true };
+	if (p.type === 'pipe') return { x, y: 0, w: p.w, h: PIPE_BOTTOM, pipe: true };
+	if (p.type === 'gap') return { x, y: WORLD_HEIGHT - GROUND_OFFSET, w: p.w, h: GROUND_OFFSET, gap: true };
+	if (p.type === 'puddle') return { x, y: WORLD_HEIGHT - GROUND_OFFSET - 6, w: p.w, h: 8, puddle: true };
+	if (p.type === 'collectible') return { x, y: WORLD_HEIGHT - p.height, w: 18, h: 18 };
+	return { x, y: WORLD_HEIGHT - p.height, w: 20, h: 20, type: p.power };
+}
+
+/* Mouse / touch position in logical canvas coordinates */
+function editorPointer(e, el) {
+	const rect = el.getBoundingClientRect();
+	return {
+		x: (e.clientX - rect.left) / rect.width * el.width,
+		y: (e.clientY - rect.top) / rect.height * el.height
+	};
+}
+
+/* Topmost placement under a point, or -1 */
+function placementAt(x, y) {
+	for (let i = editorLevel.placements.length - 1; i >= 0; i--) {
+		const o = placementEntity(editorLevel.placements[i]);
+		// pickups are small: give them a few pixels of slack
+		const pad = o.w < 24 ? 6 : 0;
+		if (x >= o.x - pad && x <= o.x + o.w + pad && y >= o.y - pad && y <= o.y + o.h + pad) return i;
+	}
+	return -1;
+}
+
+/* Move a placement so its top-left lands at (x, y) on screen */
+function movePlacement(p, x, y) {
+	p.at = Math.round((x - EDITOR_SPAWN_X + editorScroll) / EDITOR_SNAP) * EDITOR_SNAP;
+	// barrels and jerry cans stay on the ground, pipes hang from the top; pickups float at any height
+	if (p.type === 'collectible' || p.type === 'powerup') {
+		p.height = Math.round(Math.min(WORLD_HEIGHT - 10, Math.max(GROUND_OFFSET + 20, WORLD_HEIGHT - y)));
+	}
+}
+
+function setEditorScroll(value) {
+	editorScroll = Math.round(Math.max(0, Math.min(editorLevel.goal.distance, value)));
+	if (editorScrollInput) editorScrollInput.value = editorScroll;
+	drawEditor();
+}
+
+/* ---------
+   Rendering
+   --------- */
+
+function drawEditor() {
+	if (!editorCtx || !editorLevel) return;
+	const ctx = editorCtx;
+	const w = editorCanvas.width, h = editorCanvas.height;
+
+	// sky and ground tiles in the display palette, like drawGame
+	const pal = palette();
+	ctx.fillStyle = pal.sky;
+	ctx.fillRect(0, 0, w, h);
+	ctx.fillStyle = pal.tiles;
+	const bgOffset = (editorScroll * 0.2) % w;
+	for (let x = -bgOffset; x < w; x += 120) ctx.fillRect(x, h - GROUND_OFFSET, 60, GROUND_OFFSET);
+
+	// distance ruler: a line every 100 (labelled every 500) in `at` units
+	ctx.font = '11px sans-serif';
+	const first = Math.ceil((editorScroll - EDITOR_SPAWN_X) / 100) * 100;
+	for (let at = first; EDITOR_SPAWN_X + at - editorScroll <= w; at += 100) {
+		const x = EDITOR_SPAWN_X + at - editorScroll;
+		ctx.fillStyle = at % 500 === 0 ? 'rgba(4,34,60,0.25)' : 'rgba(4,34,60,0.08)';
+		ctx.fillRect(x, 0, 1, h - GROUND_OFFSET);
+		if (at % 500 === 0) {
+			ctx.fillStyle = 'rgba(4,34,60,0.6)';
+			ctx.fillText(`${at}`, x + 3, 12);
+		}
+	}
+
+	// ghost of the player, where the runner stands
+	ctx.save();
+	ctx.globalAlpha = 0.45;
+	drawDrop(ctx, EDITOR_PLAYER_X, WORLD_HEIGHT - PLAYER_HEIGHT - GROUND_OFFSET, 44, PLAYER_HEIGHT, false);
+	ctx.restore();
+
+	// finish flag (meets the player when the goal distance is reached)
+	const fx = EDITOR_PLAYER_X + 44 + editorLevel.goal.distance - editorScroll;
+	if (fx < w + 20) drawFinishFlag(ctx, fx, h - GROUND_OFFSET);
+
+	// every placement, drawn by the same helpers the game uses
+	editorLevel.placements.forEach((p, i) => {
+		const o = placementEntity(p);
+		if (o.x > w || o.x + o.w < 0) return;
+		if (p.type === 'gap') drawGap(ctx, o.x, o.w, h - GROUND_OFFSET);
+		else if (p.type === 'barrel' || p.type === 'jerry' || p.type === 'pipe' || p.type === 'puddle') drawObstacle(ctx, o, o.x);
+		else if (p.type === 'collectible') drawCollectible(ctx, o, o.x);
+		else drawPowerup(ctx, o, o.x);
+		if (i === editorSelected) {
+			ctx.strokeStyle = '#FF902A';
+			ctx.lineWidth = 2;
+			ctx.setLineDash([4, 3]);
+			ctx.strokeRect(o.x - 3, o.y - 3, o.w + 6, o.h + 6);
+			ctx.setLineDash([]);
+		}
+	});
+
+	drawEditorTimeline();
+}
+
+/* Timeline strip: the whole stage from the first possible placement to the goal,
+   one tick per placement and a box around the part the stage view shows */
+function timelineRange() {
+	return { min: -EDITOR_SPAWN_X, max: editorLevel.goal.distance };
+}
+
+function drawEditorTimeline() {
+	if (!editorTimelineCtx) return;
+	const ctx = editorTimelineCtx;
+	const w = editorTimeline.width, h = editorTimeline.height;
+	const { min, max } = timelineRange();
+	const toX = (at) => (at - min) / (max - min) * w;
+
+	ctx.fillStyle = '#f3f7fb';
+	ctx.fillRect(0, 0, w, h);
+	const colors = { barrel: '#1b1b1b', jerry: '#FFD54F', pipe: '#6b7b8c', gap: '#0b2948', puddle: '#8a6d3b', collectible: '#4FCB53', powerup: '#FF902A' };
+	editorLevel.placements.forEach((p, i) => {
+		ctx.fillStyle = colors[p.type];
+		ctx.fillRect(toX(p.at), i === editorSelected ? 2 : 8, 2, i === editorSelected ? h - 4 : h - 16);
+	});
+	// visible window: at values from (scroll - spawn x) to scroll
+	ctx.strokeStyle = '#2E9DF7';
+	ctx.lineWidth = 2;
+	ctx.strokeRect(toX(editorScroll - EDITOR_SPAWN_X), 1, toX(editorScroll) - toX(editorScroll - EDITOR_SPAWN_X), h - 2);
+}
+
+/* ---------
+   Inspector
+   --------- */
+
+/* Show editable fields for the selected placement */
+function renderEditorInspector() {
+	if (!editorInspector) return;
+	editorInspector.innerHTML = '';
+	const p = editorLevel.placements[editorSelected];
+	if (!p) {
+		editorInspector.textContent = 'Drag an entity from the palette onto the stage, then click it to edit.';
+		return;
+	}
+	const fields = [['at', 'Distance']];
+	if (p.type === 'barrel' && p.rolling) fields.push(['h', 'Size'], ['rollSpeed', 'Roll speed']);
+	else if (p.type === 'barrel' || p.type === 'jerry') fields.push(['w', 'Width'], ['h', 'Height']);
+	else if (p.type === 'pipe' || p.type === 'gap' || p.type === 'puddle') fields.push(['w', 'Width']);
+	else fields.push(['height', 'Height above ground']);
+
+	fields.forEach(([key, label]) => {
+		const input = document.createElement('input');
+		input.type = 'number';
+		input.value = p[key];
+		input.addEventListener('change', () => {
+			const value = Number(input.value);
+			if (!Number.isFinite(value)) return;
+			p[key] = value;
+			editorChanged();
+		});
+		editorInspector.appendChild(editorLabel(label, input));
+	});
+
+	// choice fields: which powerup, which jerry bonus ('' = random like endless mode)
+	if (p.type === 'powerup') {
+		editorInspector.appendChild(editorLabel('Power', editorSelect(POWERUP_TYPES, p.power, v => { p.power = v; })));
+	} else if (p.type === 'jerry') {
+		editorInspector.appendChild(editorLabel('Bonus', editorSelect(['', 'life', 'score', 'filter', 'pump', 'magnet', 'shield', 'slowmo', 'doubler', 'confetti'], p.bonus || '', v => {
+			if (v) p.bonus = v;
+			else delete p.bonus;
+		})));
+	}
+
+	const del = document.createElement('button');
+	del.type = 'button';
+	del.className = 'btn btn-sm btn-outline-danger';
+	del.textContent = 'Delete';
+	del.addEventListener('click', deleteSelectedPlacement);
+	editorInspector.appendChild(del);
+}
+
+function editorLabel(text, control) {
+	const label = document.createElement('label');
+	label.textContent = `${text} `;
+	label.appendChild(control);
+	return label;
+}
+
+function editorSelect(options, value, onChange) {
+	const select = document.createElement('select');
+	options.forEach(opt => {
+		const o = document.createElement('option');
+		o.value = opt;
+		o.textContent = opt || 'random';
+		select.appendChild(o);
+	});
+	select.value = value;
+	select.addEventListener('change', () => {
+		onChange(select.value);
+		editorChanged();
+	});
+	return select;
+}
+
+/* ----------------
+   Editing actions
+   ---------------- */
+
+/* Something changed: save the draft and redraw */
+function editorChanged() {
+	saveEditorDraft();
+	drawEditor();
+}
+
+function selectPlacement(index) {
+	editorSelected = index;
+	renderEditorInspector();
+	drawEditor();
+}
+
+/* Add a palette entity with its top-left at (x, y) on screen */
+function addPlacement(kind, x, y) {
+	const make = EDITOR_ENTITIES[kind];
+	if (!make) return;
+	const p = make();
+	movePlacement(p, x, y);
+	editorLevel.placements.push(p);
+	selectPlacement(editorLevel.placements.length - 1);
+	editorChanged();
+}
+
+function deleteSelectedPlacement() {
+	if (editorSelected < 0) return;
+	editorLevel.placements.splice(editorSelected, 1);
+	selectPlacement(-1);
+	editorChanged();
+}
+
+/* Copy the settings fields into the stage */
+function readEditorSettings() {
+	const name = editorFields.name.value.trim() || 'My Stage';
+	editorLevel.name = name;
+	editorLevel.id = slugify(name);
+	editorLevel.speed = Math.max(80, Number(editorFields.speed.value) || 180);
+	editorLevel.lives = Math.max(1, Math.round(Number(editorFields.lives.value) || 3));
+	editorLevel.goal.distance = Math.max(500, Number(editorFields.goal.value) || 4000);
+	editorLevel.stars = editorFields.stars.map(input => Math.max(0, Number(input.value) || 0));
+	if (editorScrollInput) editorScrollInput.max = editorLevel.goal.distance;
+	setEditorScroll(editorScroll);
+	editorChanged();
+}
+
+/* Fill the settings fields from the stage */
+function writeEditorSettings() {
+	editorFields.name.value = editorLevel.name || '';
+	editorFields.speed.value = editorLevel.speed || 180;
+	editorFields.lives.value = editorLevel.lives || 3;
+	editorFields.goal.value = editorLevel.goal.distance;
+	editorFields.stars.forEach((input, i) => { input.value = editorLevel.stars[i] || 0; });
+	if (editorScrollInput) editorScrollInput.max = editorLevel.goal.distance;
+}
+
+/* Fill in sizes a hand-written level left to chance, so the editor can draw it */
+function withEditorDefaults(p) {
+	let kind = p.type;
+	if (p.type === 'powerup') kind = p.power || 'filter';
+	else if (p.type === 'barrel' && p.rolling) kind = 'rolling';
+	return Object.assign(EDITOR_ENTITIES[kind](), p);
+}
+
+/* Replace the stage being edited */
+function loadIntoEditor(level) {
+	editorLevel = normalizeLevel(level);
+	editorLevel.placements = editorLevel.placements.map(withEditorDefaults);
+	editorSelected = -1;
+	writeEditorSettings();
+	renderEditorInspector();
+	setEditorScroll(0);
+	saveEditorDraft();
+}
+
+/* One-line JSON with a space after each colon and comma: {"at": 500, "type": "barrel"} */
+function inlineJson(value) {
+	return JSON.stringify(value, null, 1).replace(/\n\s*/g, ' ').replace(/^([{[]) /, '$1').replace(/ ([}\]])$/, '$1');
+}
+
+/* The stage as it should be saved: placements sorted, one per line like levels/*.json */
+function editorLevelJson() {
+	const level = normalizeLevel(editorLevel);
+	const lines = Object.keys(level)
+		.filter(key => key !== 'placements')
+		.map(key => `\t${JSON.stringify(key)}: ${inlineJson(level[key])},`);
+	// "at" and "type" first so the file reads like a timeline
+	const placements = level.placements
+		.map(p => `\t\t${inlineJson(Object.assign({ at: p.at, type: p.type }, p))}`)
+		.join(',\n');
+	return `{\n${lines.join('\n')}\n\t"placements": [\n${placements}\n\t]\n}\n`;
+}
+
+function exportEditorLevel() {
+	const blob = new Blob([editorLevelJson()], { type: 'application/json' });
+	const url = URL.createObjectURL(blob);
+	const a = document.createElement('a');
+	a.href = url;
+	a.download = `${editorLevel.id}.json`;
+	document.body.appendChild(a);
+	a.click();
+	a.remove();
+	URL.revokeObjectURL(url);
+}
+
+/* Test-play from the current scroll position: everything is shifted so the run
+   starts with exactly what the stage view shows */
+function playFromEditor(fromDistance) {
+	const level = normalizeLevel(editorLevel);
+	level.placements = level.placements
+		.map(p => Object.assign({}, p, { at: p.at - fromDistance }))
+		// anything already scrolled off the left edge would be removed straight away
+		.filter(p => p.at > -EDITOR_SPAWN_X - 100);
+	level.goal.distance = Math.max(1, level.goal.distance - fromDistance);
+	editorScreen.classList.add('hidden');
+	startTestPlay(level, openEditor);
+}
+
+/* Show the editor (from the start screen or after a test play) */
+function openEditor() {
+	if (!editorLevel) loadIntoEditor(loadEditorDraft());
+	startScreen.classList.add('hidden');
+	editorScreen.classList.remove('hidden');
+	// campaign stages can be opened as a starting point
+	if (editorOpenStage) {
+		editorOpenStage.length = 1;
+		campaignLevels.forEach((level, i) => {
+			const o = document.createElement('option');
+			o.value = i;
+			o.textContent = level.name;
+			editorOpenStage.appendChild(o);
+		});
+	}
+	writeEditorSettings();
+	renderEditorInspector();
+	drawEditor();
+}
+
+/* --------------
+   Event wiring
+   -------------- */
+
+if (editorScreen && editorCanvas) {
+	if (editorBtn) {
+		editorBtn.addEventListener('click', () => {
+			playSound('click', { force: !muted });
+			openEditor();
+		});
+	}
+
+	// settings fields
+	[editorFields.name, editorFields.speed, editorFields.lives, editorFields.goal, ...editorFields.stars]
+		.forEach(input => input && input.addEventListener('change', readEditorSettings));
+
+	// palette: drag onto the stage, or click to drop in the middle of the view
+	editorPalette.querySelectorAll('[data-entity]').forEach(btn => {
+		btn.addEventListener('dragstart', (e) => {
+			e.dataTransfer.setData('text/plain', btn.dataset.entity);
+			e.dataTransfer.effectAllowed = 'copy';
+		});
+		btn.addEventListener('click', () => addPlacement(btn.dataset.entity, editorCanvas.width / 2, WORLD_HEIGHT - 120));
+	});
+	editorCanvas.addEventListener('dragover', (e) => {
+		e.preventDefault();
+		e.dataTransfer.dropEffect = 'copy';
+	});
+	editorCanvas.addEventListener('drop', (e) => {
+		e.preventDefault();
+		const { x, y } = editorPointer(e, editorCanvas);
+		addPlacement(e.dataTransfer.getData('text/plain'), x, y);
+	});
+
+	// stage view: drag an entity to move it, drag empty space to scroll
+	editorCanvas.addEventListener('pointerdown', (e) => {
+		const { x, y } = editorPointer(e, editorCanvas);
+		const index = placementAt(x, y);
+		editorCanvas.setPointerCapture(e.pointerId);
+		if (index >= 0) {
+			const o = placementEntity(editorLevel.placements[index]);
+			editorDrag = { index, dx: x - o.x, dy: y - o.y };
+		} else {
+			editorDrag = { pan: true, startX: x, startScroll: editorScroll };
+		}
+		selectPlacement(index);
+	});
+	editorCanvas.addEventListener('pointermove', (e) => {
+		if (!editorDrag) return;
+		const { x, y } = editorPointer(e, editorCanvas);
+		if (editorDrag.pan) {
+			setEditorScroll(editorDrag.startScroll - (x - editorDrag.startX));
+		} else {
+			movePlacement(editorLevel.placements[editorDrag.index], x - editorDrag.dx, y - editorDrag.dy);
+			drawEditor();
+		}
+	});
+	editorCanvas.addEventListener('pointerup', () => {
+		if (editorDrag && !editorDrag.pan) {
+			renderEditorInspector();
+			editorChanged();
+		}
+		editorDrag = null;
+	});
+	editorCanvas.addEventListener('wheel', (e) => {
+		e.preventDefault();
+		setEditorScroll(editorScroll + (Math.abs(e.deltaX) > Math.abs(e.deltaY) ? e.deltaX : e.deltaY));
+	}, { passive: false });
+
+	// timeline and scrollbar: jump anywhere in the stage
+	function scrollFromTimeline(e) {
+		const { min, max } = timelineRange();
+		const at = min + editorPointer(e, editorTimeline).x / editorTimeline.width * (max - min);
+		// centre the view on the clicked distance
+		setEditorScroll(at + EDITOR_SPAWN_X / 2);
+	}
+	editorTimeline.addEventListener('pointerdown', (e) => {
+		editorTimeline.setPointerCapture(e.pointerId);
+		scrollFromTimeline(e);
+	});
+	editorTimeline.addEventListener('pointermove', (e) => {
+		if (e.buttons) scrollFromTimeline(e);
+	});
+	editorScrollInput.addEventListener('input', () => setEditorScroll(Number(editorScrollInput.value)));
+
+	// Delete / Backspace removes the selected entity (unless typing in a field)
+	document.addEventListener('keydown', (e) => {
+		if (editorScreen.classList.contains('hidden')) return;
+		if (e.target && e.target.matches && e.target.matches('input, select, textarea')) return;
+		if (e.code === 'Delete' || e.code === 'Backspace') {
+			e.preventDefault();
+			deleteSelectedPlacement();
+		}
+	});
+
+	// actions
+	document.getElementById('editor-play-here-btn').addEventListener('click', () => playFromEditor(editorScroll));
+	document.getElementById('editor-play-start-btn').addEventListener('click', () => playFromEditor(0));
+	document.getElementById('editor-export-btn').addEventListener('click', exportEditorLevel);
+	document.getElementById('editor-import-btn').addEventListener('click', () => editorFileInput.click());
+	editorFileInput.addEventListener('change', () => {
+		const file = editorFileInput.files && editorFileInput.files[0];
+		if (!file) return;
+		file.text().then(text => {
+			try {
+				loadIntoEditor(JSON.parse(text));
+			} catch (err) {
+				alert(`That file is not a valid stage: ${err.message}`);
+			}
+		});
+		// allow re-importing the same file
+		editorFileInput.value = '';
+	});
+	editorOpenStage.addEventListener('change', () => {
+		const level = campaignLevels[Number(editorOpenStage.value)];
+		if (level) loadIntoEditor(level);
+		editorOpenStage.value = '';
+	});
+	document.getElementById('editor-new-btn').addEventListener('click', () => {
+		if (confirm('Start a new stage? The current one will be replaced.')) loadIntoEditor(createBlankLevel());
+	});
+	document.getElementById('editor-back-btn').addEventListener('click', () => {
+		playSound('click', { force: !muted });
+		editorScreen.classList.add('hidden');
+		showStartScreen();
+	});
+}
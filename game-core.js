@@ -0,0 +1,1167 @@
+// Clean Drop Runner - headless game core
+// The whole simulation (player physics, spawning, collisions, score, lives, powerups)
+// lives here with no DOM, canvas or audio access, so it runs the same in the browser
+// and in Node (for automated tests). script.js owns everything the player sees and
+// hears: HUD, canvas drawing, popups, sounds and input.
+//
+// Usage:
+//   const game = createGame({ seed: 1234, difficulty: 'Normal' });
+//   game.on(GameEvents.STOMP, (e, state) => { ...popup / sound at e.x, e.y... });
+//   game.step(1 / 60, { jump: true });
+
+/* ===============
+   World constants
+   =============== */
+/* Logical play-field size (matches the canvas' fixed 820x360 logical resolution) */
+const WORLD_WIDTH = 820;
+const WORLD_HEIGHT = 360;
+const GROUND_OFFSET = 32; // height of the ground strip at the bottom of the world
+
+/* Player heights: standing, and ducking / sliding under overhead pipes */
+const PLAYER_HEIGHT = 56;
+const PLAYER_DUCK_HEIGHT = 30;
+/* Overhead pipes hang down to this y: low enough to hit a standing player,
+   high enough to leave room for a sliding one */
+const PIPE_BOTTOM = WORLD_HEIGHT - GROUND_OFFSET - PLAYER_DUCK_HEIGHT - 14;
+/* Clear run-out (seconds) endless mode keeps between an overhead pipe and the hazards
+   either side of it: time to stand up once the pipe has passed and get into a jump,
+   or to land and drop into a slide before the pipe arrives */
+const PIPE_RUN_OUT = 0.4;
+/* How far below the ground line the player's feet can sink into a gap before they've fallen in */
+const FALL_DEPTH = 12;
+
+/* Fixed simulation step (seconds). The browser loop always advances the game in
+   steps of exactly this size (120 per second), so jump arcs, collision timing and
+   score-per-second are identical on 60Hz, 144Hz and slow devices. */
+const SIM_STEP = 1 / 120;
+
+/* ==================
+   Seeded random numbers
+   ==================
+   Gameplay randomness (spawns, powerup types, jerry bonuses) comes from a seeded
+   generator so the same seed always produces the same run. */
+
+/* mulberry32: a tiny seedable generator. Returns a function that gives numbers in [0, 1). */
+function createRng(seed) {
+	let a = seed >>> 0;
+	return function() {
+		a = (a + 0x6D2B79F5) >>> 0;
+		let t = a;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+/* Default difficulty settings (adjusts pace, spawn rates, lives, scoring) */
+function getDifficultySettings(mode) {
+	// returns settings object for Easy / Normal / Hard
+	switch (mode) {
+		case 'Easy':
+			return {
+				gameSpeed: 140,
+				lives: 5,
+				spawnObstacleProb: 0.45,
+				spawnCollectibleProb: 0.5,
+				spawnPowerupProb: 0.12,
+				// relative chance of each powerup type when one spawns
+				powerupWeights: { filter: 3, pump: 2, well: 2, magnet: 2, shield: 3, slowmo: 2, doubler: 1 },
+				scoreMultiplier: 0.9,
+				bumpPer10s: 8,
+				/* jump forgiveness (seconds): a jump still works this long after
+				   leaving the ground (coyote time) or this long before landing (buffer) */
+				coyoteTime: 0.12,
+				jumpBufferTime: 0.15,
+				pipeProb: 0.05,     // chance per spawn tick of an overhead pipe to slide under
+				/* hazards beyond the static barrel */
+				rollingBarrelProb: 0.1,   // share of barrels that roll toward the player
+				rollSpeed: [40, 80],      // extra px/s a rolling barrel moves on top of the scroll
+				gapProb: 0.03,            // chance per spawn tick of a gap in the ground (fatal)
+				gapWidth: [50, 70],
+				puddleProb: 0.08,         // chance per spawn tick of a polluted puddle
+				puddleSlow: 0.75,         // scroll speed multiplier while dirty
+				puddleTime: 1.5,          // seconds a puddle keeps the player slowed
+				/* water meter: clean drops fill the jerry can, a full can is delivered to a village */
+				waterCapacity: 8,         // drops to fill the can
+				waterSpill: 2,            // drops lost when a hit lands
+				deliveryBonus: 150,       // points for delivering a full can
+				/* after a hit: seconds the player can't be hurt again, and the stagger */
+				invulnTime: 1.6,
+				knockback: 24,            // px the player is pushed back (eases back to place)
+				/* spawnInterval (seconds) controls how often we try to spawn items;
+				   make Easy mode spawn less frequently (longer interval) */
+				spawnInterval: 0.9
+			};
+		case 'Hard':
+			return {
+				gameSpeed: 220,
+				lives: 2,
+				spawnObstacleProb: 0.78,
+				spawnCollectibleProb: 0.28,
+				spawnPowerupProb: 0.05,
+				powerupWeights: { filter: 3, pump: 3, well: 1, magnet: 2, shield: 1, slowmo: 1, doubler: 2 },
+				scoreMultiplier: 1.15,
+				bumpPer10s: 20,
+				coyoteTime: 0.08,
+				jumpBufferTime: 0.1,
+				pipeProb: 0.12,
+				rollingBarrelProb: 0.35,
+				rollSpeed: [90, 160],
+				gapProb: 0.08,
+				gapWidth: [70, 110],
+				puddleProb: 0.1,
+				puddleSlow: 0.6,
+				puddleTime: 2.5,
+				waterCapacity: 12,
+				waterSpill: 4,
+				deliveryBonus: 250,
+				invulnTime: 0.8,
+				knockback: 36,
+				/* Hard spawns more often */
+				spawnInterval: 0.45
+			};
+		case 'Normal':
+		default:
+			return {
+				gameSpeed: 180,
+				lives: 3,
+				spawnObstacleProb: 0.6,
+				spawnCollectibleProb: 0.35,
+				spawnPowerupProb: 0.08,
+				powerupWeights: { filter: 3, pump: 3, well: 1, magnet: 2, shield: 2, slowmo: 1, doubler: 1 },
+				scoreMultiplier: 1.0,
+				bumpPer10s: 12,
+				coyoteTime: 0.1,
+				jumpBufferTime: 0.12,
+				pipeProb: 0.08,
+				rollingBarrelProb: 0.2,
+				rollSpeed: [60, 120],
+				gapProb: 0.05,
+				gapWidth: [60, 90],
+				puddleProb: 0.08,
+				puddleSlow: 0.7,
+				puddleTime: 2,
+				waterCapacity: 10,
+				waterSpill: 3,
+				deliveryBonus: 200,
+				invulnTime: 1.2,
+				knockback: 30,
+				/* default spawning cadence */
+				spawnInterval: 0.6
+			};
+	}
+}
+
+/* Clean Water Impact milestones: an impact message is raised when score reaches each one */
+const impactMilestones = [
+	{ score: 100, text: "You’ve brought clean water to 1 person 💧" },
+	{ score: 300, text: "A whole family now has access to clean water! 🚰" },
+	{ score: 600, text: "Your drops could fill a new well! 🌍" }
+];
+
+/* Shown in turn each time the player delivers water to a village */
+const deliveryMessages = [
+	"Delivered! A village has clean water for today 💧",
+	"Another delivery: kids can go to school instead of fetching water 🎒",
+	"Delivery complete: a whole community drinks clean water 🌍",
+	"Water delivered! Less time walking, more time growing 🌱"
+];
+
+/* Every powerup type, in the order menus list them */
+const POWERUP_TYPES = ['filter', 'pump', 'well', 'magnet', 'shield', 'slowmo', 'doubler'];
+
+/* How long each timed powerup lasts, in seconds (the well is instant: +1 life).
+   The shield also ends early once it has absorbed a hit. */
+const POWERUP_DURATIONS = {
+	filter: 3.0,
+	pump: 2.5,
+	magnet: 6,
+	shield: 10,
+	slowmo: 3,
+	doubler: 8
+};
+
+/* Tuning for the newer powerups */
+const MAGNET_RANGE = 260;   // px: collectibles closer than this get pulled in
+const MAGNET_PULL = 420;    // px/s the pulled collectibles fly toward the player
+const SLOWMO_FACTOR = 0.6;  // scroll speed and spawn cadence multiplier during slow-time
+
+/* Combo: each stomp or collect in a chain (no landing, no hit in between)
+   adds COMBO_STEP to the points multiplier, up to COMBO_MAX */
+const COMBO_STEP = 0.5;
+const COMBO_MAX = 4;
+
+/* ===========
+   Game events
+   ===========
+   Every gameplay event the core publishes, with the payload each one carries.
+   Listeners receive (payload, state); payload.type is the event name. */
+const GameEvents = Object.freeze({
+	JUMP: 'jump',                           // {}
+	SLIDE: 'slide',                         // {} the player ducked into a slide on the ground
+	LAND: 'land',                           // {} the player touched the ground after being airborne
+	SCORE: 'score',                         // { score, delta, reason: 'time' | 'stomp' | 'collect' | 'jerry' | 'delivery' }
+	LIVES: 'lives',                         // { lives, delta }
+	STOMP: 'stomp',                         // { x, y, points, combo }
+	COLLECT: 'collect',                     // { x, y, points, combo }
+	COMBO: 'combo',                         // { x, y, count, multiplier } a chain reached 2 or more
+	COMBO_END: 'comboEnd',                  // { count, reason: 'land' | 'hit' } a chain of 2 or more ended
+	LIFE_LOST: 'lifeLost',                  // { x, y, lives, invulnTime }
+	RECOVERED: 'recovered',                 // {} the post-hit invulnerability window ended
+	FELL: 'fell',                           // { x, y } the player fell into a gap (ends the run)
+	SPLASH: 'splash',                       // { x, y, duration } a polluted puddle slowed the player
+	FILTERED: 'filtered',                   // { x, y } a hazard absorbed by the filter
+	JERRY: 'jerry',                         // { x, y, bonus, label }
+	POWERUP_COLLECTED: 'powerupCollected',  // { x, y, power }
+	POWERUP_START: 'powerupStart',          // { power, duration, refreshed } refreshed: it was already running
+	POWERUP_END: 'powerupEnd',              // { power }
+	SHIELD_BLOCK: 'shieldBlock',            // { x, y } the shield absorbed a hit (and popped)
+	MILESTONE: 'milestone',                 // { score, text }
+	WATER: 'water',                         // { water, capacity, delta, reason: 'collect' | 'spill' | 'deliver' }
+	VILLAGE: 'village',                     // { x } a full can made a village checkpoint appear
+	DELIVERY: 'delivery',                   // { x, y, water, points, text } water handed over at the village
+	LEVEL_COMPLETE: 'levelComplete',        // { score, time, lives } campaign stage goal reached
+	GAME_OVER: 'gameOver'                   // { score, time }
+});
+
+/* A small event emitter that only accepts the names listed in `eventTypes`,
+   so a typo like on('stmop') fails loudly instead of never firing. */
+function createEventBus(eventTypes) {
+	const known = new Set(Object.values(eventTypes));
+	const handlers = {};
+
+	function check(type) {
+		if (!known.has(type)) throw new Error(`Unknown game event: ${type}`);
+	}
+
+	/* Listen for an event. Returns a function that removes the listener. */
+	function on(type, handler) {
+		check(type);
+		(handlers[type] = handlers[type] || []).push(handler);
+		return () => off(type, handler);
+	}
+
+	function off(type, handler) {
+		const list = handlers[type];
+		if (!list) return;
+		const i = list.indexOf(handler);
+		if (i !== -1) list.splice(i, 1);
+	}
+
+	/* Listen for the next occurrence only */
+	function once(type, handler) {
+		const remove = on(type, (...args) => {
+			remove();
+			handler(...args);
+		});
+		return remove;
+	}
+
+	function emit(type, ...args) {
+		check(type);
+		// copy so handlers can unsubscribe while we loop
+		(handlers[type] || []).slice().forEach(h => h(...args));
+	}
+
+	return { on, off, once, emit };
+}
+
+/* AABB collision detection (a uses width/height, b uses w/h) */
+function isColliding(a, b) {
+	return (
+		a.x < b.x + b.w &&
+		a.x + a.width > b.x &&
+		a.y < b.y + b.h &&
+		a.y + a.height > b.y
+	);
+}
+
+/* ===============
+   Campaign levels
+   ===============
+   A level is plain JSON (see levels/*.json):
+   {
+     "id": "first-steps", "name": "First Steps",
+     "difficulty": "Normal",          // optional: scoring multiplier / default lives
+     "speed": 220,                    // optional: fixed scroll speed (px/s), no speed-ups
+     "lives": 3,                      // optional: overrides the difficulty's lives
+     "goal": { "distance": 5000 },    // stage is complete when this far has been scrolled
+     "stars": [60, 90, 120],          // scores needed for 1, 2 and 3 stars
+     "placements": [                  // `at` = distance when the item enters on the right
+                                      // (negative: already on screen at the start)
+       { "at": 400, "type": "barrel", "w": 36, "h": 48 },
+       { "at": 700, "type": "collectible", "height": 120 },
+       { "at": 900, "type": "powerup", "power": "filter", "height": 130 },
+       { "at": 1200, "type": "jerry", "bonus": "life" },
+       { "at": 1500, "type": "pipe", "w": 70 },  // overhead: slide under it
+       { "at": 1800, "type": "barrel", "rolling": true, "rollSpeed": 80 },
+       { "at": 2100, "type": "gap", "w": 70 },   // fatal to fall into
+       { "at": 2400, "type": "puddle", "w": 60 } // slows the player for a while
+     ]
+   }
+   Optional fields left out fall back to endless mode's random rolls. */
+
+const LEVEL_PLACEMENT_TYPES = ['barrel', 'jerry', 'pipe', 'gap', 'puddle', 'collectible', 'powerup'];
+
+/* Validate a level and return a clean copy with placements sorted by distance.
+   Throws an Error describing the first problem, so a broken level file fails loudly. */
+function normalizeLevel(level) {
+	if (!level || typeof level !== 'object') throw new Error('Level must be an object');
+	if (!level.goal || !(level.goal.distance > 0)) throw new Error(`Level "${level.id}" needs goal.distance`);
+	const placements = (level.placements || []).map((p, i) => {
+		if (!LEVEL_PLACEMENT_TYPES.includes(p.type)) throw new Error(`Level "${level.id}" placement ${i}: unknown type "${p.type}"`);
+		if (!Number.isFinite(p.at)) throw new Error(`Level "${level.id}" placement ${i}: "at" must be a number`);
+		return Object.assign({}, p);
+	});
+	// stable sort keeps file order for placements at the same distance
+	placements.sort((a, b) => a.at - b.at);
+	return Object.assign({}, level, { goal: Object.assign({}, level.goal), stars: (level.stars || []).slice(), placements });
+}
+
+/* How many stars a finished stage earns (0 if the goal wasn't reached) */
+function levelStars(level, score, completed) {
+	if (!completed) return 0;
+	return (level.stars || []).filter(needed => score >= needed).length;
+}
+
+/* ============
+   Game factory
+   ============ */
+
+/* Create a new game. options: { seed, difficulty, level }.
+   level is an optional campaign stage (see above); without one the run is endless.
+   Returns { state, step(dt, inputs), on, off, once, subscribe(listener) }.
+   - state is a plain object holding everything about the run (read it, don't write it).
+   - step(dt, inputs) advances the simulation by dt seconds. inputs: { jump: true } when
+     the jump button was pressed since the previous step, { jumpRelease: true } when it
+     was let go (both can be set if it was tapped within one step); duck / duckRelease
+     work the same way for the duck button.
+   - on/off/once(type, handler) listen for one GameEvents type; handler(payload, state).
+     Events raised during a step are delivered after the step, in the order they happened.
+   - subscribe(listener) calls listener(state, events) after every step with all of
+     that step's events. Returns a function that removes the listener. */
+function createGame(options = {}) {
+	const seed = (options.seed >>> 0) || 1;
+	const difficulty = options.difficulty || 'Normal';
+	const config = getDifficultySettings(difficulty);
+	// campaign stage (see "Campaign levels" below); null for endless mode
+	const level = options.level ? normalizeLevel(options.level) : null;
+
+	// gameplay random stream for this run
+	const rng = createRng(seed);
+	function rand(min, max) { return rng() * (max - min) + min; }
+
+	const state = {
+		seed,
+		difficulty,
+		config,
+		running: true,      // false once the last life is lost
+		time: 0,            // seconds simulated so far
+		distance: 0,        // pixels scrolled so far (drives the background)
+		prevDistance: 0,    // distance at the start of the last step (for interpolation)
+		score: 0,
+		lives: level && level.lives ? level.lives : config.lives,
+		gameSpeed: level && level.speed ? level.speed : config.gameSpeed, // pixels per second
+		level,                // campaign stage being played (null in endless mode)
+		nextPlacement: 0,     // index of the next level placement to spawn
+		completed: false,     // true once a campaign stage's goal is reached
+		spawnTimer: 0,
+		difficultyTimer: 0,
+		secondsCounter: 0,
+		milestonesReached: 0, // how many impactMilestones have been raised
+		water: 0,             // drops in the jerry can (see config.waterCapacity)
+		deliveries: 0,        // cans delivered to villages this run
+		village: null,        // delivery checkpoint on its way in: { x, prevX, w, h }
+		combo: 0,             // stomps/collects chained since the player last touched the ground
+		comboMultiplier: 1,   // points multiplier the chain has built up
+		activePowers: {},     // running powerups by type: { timer, duration, boost? }
+
+		/* Player (clean water drop) */
+		player: {
+			x: 80,
+			homeX: 80,          // where the player runs; a knockback eases x back to here
+			y: WORLD_HEIGHT - PLAYER_HEIGHT - GROUND_OFFSET,
+			width: 44,
+			height: PLAYER_HEIGHT,
+			vy: 0,
+			jumpPower: -760,
+			gravity: 2200,
+			// variable jump height: letting go cuts the rise to jumpPower * jumpCut,
+			// but only after minJumpTime so a quick tap still clears a barrel
+			jumpCut: 0.5,
+			minJumpTime: 0.1,
+			onGround: true,
+			jumpHeld: false,    // jump button currently held
+			jumping: false,     // rising from a jump (not a stomp bounce), so release can cut it
+			jumpTime: 0,        // seconds since the current jump started
+			coyoteTimer: 0,     // time left to jump after leaving the ground
+			jumpBufferTimer: 0, // time left for an early press to fire on landing
+			duckHeld: false,    // duck button currently held
+			ducking: false,     // sliding along the ground at PLAYER_DUCK_HEIGHT
+			fastFallSpeed: 900, // ducking in the air drops the player at least this fast
+			dirtyTimer: 0,      // seconds left slowed (and muddy) after running through a puddle
+			invulnTimer: 0,     // seconds left of post-hit invulnerability (the drop blinks)
+			filterActive: false,
+			// expression state (happy vs mad)
+			isMad: false,
+			// previous Y, used to detect stomps
+			prevY: WORLD_HEIGHT - PLAYER_HEIGHT - GROUND_OFFSET
+		},
+
+		/* Arrays for obstacles, collectibles, powerups */
+		obstacles: [],
+		gaps: [],           // holes in the ground: { x, prevX, w }
+		collectibles: [],
+		powerups: []
+	};
+
+	const bus = createEventBus(GameEvents);
+	const listeners = [];
+	let events = []; // events raised during the current step
+
+	/* Queue an event; it is published once the step finishes */
+	function emit(type, data) {
+		events.push(Object.assign({ type }, data));
+	}
+
+	/* Score multiplier: difficulty, doubled while the score doubler runs */
+	function pointsMultiplier() {
+		return (config.scoreMultiplier || 1) * (state.activePowers.doubler ? 2 : 1);
+	}
+
+	/* Score points scaled by the difficulty multiplier (and the doubler) */
+	function scaledPoints(base) {
+		return Math.round(base * pointsMultiplier());
+	}
+
+	function addScore(points, reason) {
+		if (points <= 0) return;
+		state.score += points;
+		emit(GameEvents.SCORE, { score: state.score, delta: points, reason });
+		checkMilestones();
+	}
+
+	/* Add a stomp or collect to the combo chain and return its points.
+	   Anything scored while standing on the ground starts a new chain. */
+	function comboPoints(base, x, y) {
+		if (state.player.onGround) endCombo('land');
+		state.combo++;
+		state.comboMultiplier = Math.min(COMBO_MAX, 1 + (state.combo - 1) * COMBO_STEP);
+		if (state.combo >= 2) emit(GameEvents.COMBO, { x, y, count: state.combo, multiplier: state.comboMultiplier });
+		return scaledPoints(base * state.comboMultiplier);
+	}
+
+	/* Break the combo chain (landing or taking a hit) */
+	function endCombo(reason) {
+		if (state.combo >= 2) emit(GameEvents.COMBO_END, { count: state.combo, reason });
+		state.combo = 0;
+		state.comboMultiplier = 1;
+	}
+
+	/* Jerry-can water meter: add (or spill, with a negative delta) drops.
+	   Filling the can sends a village checkpoint to deliver to. */
+	function changeWater(delta, reason) {
+		const capacity = config.waterCapacity || 10;
+		const water = Math.max(0, Math.min(capacity, state.water + delta));
+		if (water === state.water) return;
+		emit(GameEvents.WATER, { water, capacity, delta: water - state.water, reason });
+		state.water = water;
+		if (water >= capacity && !state.village) spawnVillage();
+	}
+
+	function spawnVillage() {
+		const x = WORLD_WIDTH + 10;
+		state.village = { x, prevX: x, w: 120, h: 90 };
+		emit(GameEvents.VILLAGE, { x });
+	}
+
+	/* Reached the village: hand over whatever water is left in the can */
+	function deliverWater() {
+		const capacity = config.waterCapacity || 10;
+		const water = state.water;
+		state.village = null;
+		// everything spilled on the way: nothing to deliver
+		if (water <= 0) return;
+		// a full can earns the whole bonus; water spilled on the way costs its share
+		const points = scaledPoints((config.deliveryBonus || 200) * water / capacity);
+		const text = deliveryMessages[state.deliveries % deliveryMessages.length];
+		state.deliveries++;
+		changeWater(-water, 'deliver');
+		const player = state.player;
+		emit(GameEvents.DELIVERY, { x: player.x + player.width / 2, y: player.y, water, points, text });
+		addScore(points, 'delivery');
+	}
+
+	function changeLives(delta) {
+		state.lives += delta;
+		emit(GameEvents.LIVES, { lives: state.lives, delta });
+	}
+
+	/* Raise each impact milestone once when score passes its threshold */
+	function checkMilestones() {
+		while (state.milestonesReached < impactMilestones.length &&
+			state.score >= impactMilestones[state.milestonesReached].score) {
+			const m = impactMilestones[state.milestonesReached];
+			state.milestonesReached++;
+			emit(GameEvents.MILESTONE, { score: m.score, text: m.text });
+		}
+	}
+
+	/* Spawn helpers (create simple rectangle objects).
+	   In endless mode sizes and heights are rolled; a level placement (`spec`) can fix
+	   them instead, and `spec.x` lets it appear part-way across the screen. */
+	function spawnObstacle(spec = {}) {
+		// Spawn obstacles shaped like barrels: slightly wider and taller range
+		const h = spec.h !== undefined ? spec.h : rand(36, 64);   // taller for barrel look
+		const w = spec.w !== undefined ? spec.w : rand(30, 46);   // wider for barrel look
+		const y = WORLD_HEIGHT - h - GROUND_OFFSET;
+		const x = spec.x !== undefined ? spec.x : WORLD_WIDTH + 10;
+		// mark as barrel so the renderer knows to draw barrel details
+		const barrel = { x, prevX: x, y, w, h, barrel: true, color: '#1b1b1b' };
+		state.obstacles.push(barrel);
+		return barrel;
+	}
+
+	/* Spawn a barrel on its side that rolls toward the player faster than the ground scrolls */
+	function spawnRollingBarrel(spec = {}) {
+		const size = spec.h !== undefined ? spec.h : rand(34, 44);
+		const x = spec.x !== undefined ? spec.x : WORLD_WIDTH + 10;
+		const [minRoll, maxRoll] = config.rollSpeed || [60, 120];
+		const rollSpeed = spec.rollSpeed !== undefined ? spec.rollSpeed : rand(minRoll, maxRoll);
+		const y = WORLD_HEIGHT - size - GROUND_OFFSET;
+		const barrel = { x, prevX: x, y, w: size, h: size, barrel: true, rolling: true, rollSpeed, color: '#1b1b1b' };
+		state.obstacles.push(barrel);
+		return barrel;
+	}
+
+	/* Spawn a gap in the ground strip; falling in ends the run */
+	function spawnGap(spec = {}) {
+		const [minW, maxW] = config.gapWidth || [60, 90];
+		const w = spec.w !== undefined ? spec.w : rand(minW, maxW);
+		const x = spec.x !== undefined ? spec.x : WORLD_WIDTH + 10;
+		const gap = { x, prevX: x, w };
+		state.gaps.push(gap);
+		return gap;
+	}
+
+	/* Spawn a polluted puddle lying on the ground: harmless, but it slows the player down */
+	function spawnPuddle(spec = {}) {
+		const w = spec.w !== undefined ? spec.w : rand(50, 80);
+		const x = spec.x !== undefined ? spec.x : WORLD_WIDTH + 10;
+		const h = 8;
+		const puddle = { x, prevX: x, y: WORLD_HEIGHT - GROUND_OFFSET - h + 2, w, h, puddle: true, color: '#6e5a28' };
+		state.obstacles.push(puddle);
+		return puddle;
+	}
+
+	/* Spawn a charity: water jerry can that moves like a barrel but gives a random bonus on hit */
+	function spawnJerry(spec = {}) {
+		const h = spec.h !== undefined ? spec.h : rand(34, 50);
+		const w = spec.w !== undefined ? spec.w : rand(28, 40);
+		const y = WORLD_HEIGHT - h - GROUND_OFFSET; // ground aligned
+		const x = spec.x !== undefined ? spec.x : WORLD_WIDTH + 10;
+		// a level can pick the bonus so a stage always teaches the same thing
+		state.obstacles.push({ x, prevX: x, y, w, h, jerry: true, bonus: spec.bonus });
+	}
+
+	/* Spawn an overhead pipe hanging from the top of the screen: too low to run
+	   under standing up and too tall to jump over, so it has to be slid under */
+	function spawnPipe(spec = {}) {
+		const w = spec.w !== undefined ? spec.w : rand(50, 90);
+		const x = spec.x !== undefined ? spec.x : WORLD_WIDTH + 10;
+		const pipe = { x, prevX: x, y: 0, w, h: PIPE_BOTTOM, pipe: true, color: '#6b7b8c' };
+		state.obstacles.push(pipe);
+		return pipe;
+	}
+
+	/* Seconds until a hazard's front reaches the player and until its back has passed them
+	   (at full scroll speed: slow-time only ever leaves more room; a rolling barrel adds
+	   its own speed, so one rolled out behind a pipe closes in on it) */
+	function passWindow(o) {
+		const player = state.player;
+		const speed = state.gameSpeed + (o.rollSpeed || 0);
+		return { front: (o.x - (player.homeX + player.width)) / speed, back: (o.x + o.w - player.homeX) / speed };
+	}
+
+	/* Hazards on the ground a pipe needs a run-out from: barrels (standing or rolling),
+	   puddles and gaps */
+	function groundHazards() {
+		return state.obstacles.filter(o => o.barrel || o.puddle).concat(state.gaps);
+	}
+
+	/* True when a hazard passes the player within PIPE_RUN_OUT of a pipe (before or after it) */
+	function crowdsPipe(hazard) {
+		const others = (hazard.pipe ? groundHazards() : state.obstacles.filter(o => o.pipe)).filter(o => o !== hazard);
+		const mine = passWindow(hazard);
+		return others.some(o => {
+			const theirs = passWindow(o);
+			return mine.front < theirs.back + PIPE_RUN_OUT && theirs.front < mine.back + PIPE_RUN_OUT;
+		});
+	}
+
+	function spawnCollectible(spec = {}) {
+		const size = 18;
+		// `height` is measured up from the bottom of the world, like the random range
+		const y = WORLD_HEIGHT - (spec.height !== undefined ? spec.height : rand(80, 140));
+		const x = spec.x !== undefined ? spec.x : WORLD_WIDTH + 10;
+		state.collectibles.push({ x, prevX: x, y, w: size, h: size, color: '#4FCB53' });
+	}
+
+	/* Pick a powerup type using the difficulty's spawn weights */
+	function randomPowerupType() {
+		const weights = config.powerupWeights || {};
+		const total = POWERUP_TYPES.reduce((sum, t) => sum + (weights[t] || 0), 0);
+		if (total <= 0) return POWERUP_TYPES[Math.floor(rng() * POWERUP_TYPES.length)];
+		let roll = rng() * total;
+		for (const t of POWERUP_TYPES) {
+			roll -= weights[t] || 0;
+			if (roll < 0) return t;
+		}
+		return POWERUP_TYPES[POWERUP_TYPES.length - 1];
+	}
+
+	function spawnPowerup(spec = {}) {
+		const type = spec.power || randomPowerupType();
+		const size = 20;
+		const y = WORLD_HEIGHT - (spec.height !== undefined ? spec.height : rand(100, 160));
+		const x = spec.x !== undefined ? spec.x : WORLD_WIDTH + 10;
+		state.powerups.push({ x, prevX: x, y, w: size, h: size, type });
+	}
+
+	/* Campaign: spawn every placement whose distance has been reached.
+	   A placement appears at the right edge when state.distance reaches its `at`;
+	   if a step overshoots, it is moved left by the overshoot so spacing stays exact. */
+	function spawnFromLevel() {
+		const placements = level.placements;
+		while (state.nextPlacement < placements.length && placements[state.nextPlacement].at <= state.distance) {
+			const p = placements[state.nextPlacement++];
+			const spec = Object.assign({}, p, { x: WORLD_WIDTH + 10 - (state.distance - p.at) });
+			if (p.type === 'barrel' && p.rolling) spawnRollingBarrel(spec);
+			else if (p.type === 'barrel') spawnObstacle(spec);
+			else if (p.type === 'jerry') spawnJerry(spec);
+			else if (p.type === 'pipe') spawnPipe(spec);
+			else if (p.type === 'gap') spawnGap(spec);
+			else if (p.type === 'puddle') spawnPuddle(spec);
+			else if (p.type === 'collectible') spawnCollectible(spec);
+			else if (p.type === 'powerup') spawnPowerup(spec);
+		}
+	}
+
+	/* Jump action: fires while on the ground or within the coyote window after leaving it */
+	function jump() {
+		const player = state.player;
+		// jumping out of a slide needs room to stand up first
+		if (player.ducking && !setDucking(false)) return;
+		if (player.onGround || player.coyoteTimer > 0) {
+			player.vy = player.jumpPower;
+			player.onGround = false;
+			player.jumping = true;
+			player.jumpTime = 0;
+			player.coyoteTimer = 0;
+			player.jumpBufferTimer = 0;
+			emit(GameEvents.JUMP, {});
+		}
+	}
+
+	/* Switch between standing and ducking heights, keeping the feet where they are.
+	   Returns false (and stays down) when a pipe overhead leaves no room to stand. */
+	function setDucking(on) {
+		const player = state.player;
+		if (player.ducking === on) return true;
+		const bottom = player.y + player.height;
+		if (!on) {
+			const standing = { x: player.x, y: bottom - PLAYER_HEIGHT, width: player.width, height: PLAYER_HEIGHT };
+			if (state.obstacles.some(o => o.pipe && isColliding(standing, o))) return false;
+		}
+		player.ducking = on;
+		player.height = on ? PLAYER_DUCK_HEIGHT : PLAYER_HEIGHT;
+		player.y = bottom - player.height;
+		return true;
+	}
+
+	/* Duck / slide: holding duck on the ground slides; pressing it in the air
+	   drops the player fast so they land straight into the slide */
+	function applyDuckInputs(inputs) {
+		const player = state.player;
+		if (inputs.duck) {
+			player.duckHeld = true;
+			if (!player.onGround) {
+				player.vy = Math.max(player.vy, player.fastFallSpeed);
+				player.jumping = false;
+			}
+		}
+		if (inputs.duckRelease) player.duckHeld = false;
+
+		if (player.duckHeld && player.onGround && !player.ducking) {
+			setDucking(true);
+			emit(GameEvents.SLIDE, {});
+		} else if (!player.duckHeld && player.ducking) {
+			// stays down until any pipe overhead has passed
+			setDucking(false);
+		}
+	}
+
+	/* Press / release handling: a press is buffered for a moment so one made just
+	   before landing still jumps; releasing early cuts the jump short */
+	function applyJumpInputs(dt, inputs) {
+		const player = state.player;
+		if (inputs.jump) {
+			player.jumpHeld = true;
+			player.jumpBufferTimer = config.jumpBufferTime || 0;
+			jump();
+		} else if (player.jumpBufferTimer > 0) {
+			player.jumpBufferTimer = Math.max(0, player.jumpBufferTimer - dt);
+			jump();
+		}
+		if (inputs.jumpRelease) player.jumpHeld = false;
+
+		if (player.jumping) {
+			player.jumpTime += dt;
+			const cutSpeed = player.jumpPower * player.jumpCut;
+			if (player.vy >= 0) {
+				// reached the top: nothing left to cut
+				player.jumping = false;
+			} else if (!player.jumpHeld && player.jumpTime >= player.minJumpTime) {
+				player.vy = Math.max(player.vy, cutSpeed);
+				player.jumping = false;
+			}
+		}
+	}
+
+	/* Activate powerup effects.
+	   Timed powerups run side by side, each with its own timer. Collecting one that is
+	   already running only extends its timer; its effect (e.g. the pump's speed boost)
+	   is applied once when it starts and undone once when it ends. */
+	function activatePowerup(type) {
+		const player = state.player;
+		const duration = POWERUP_DURATIONS[type];
+		if (!duration) {
+			// instant powerups
+			if (type === 'well') changeLives(1); // add 1 life
+			emit(GameEvents.POWERUP_START, { power: type, duration: 0, refreshed: false });
+			return;
+		}
+
+		const running = state.activePowers[type];
+		if (running) {
+			// refresh: extend the timer (capped at two full durations)
+			running.timer = Math.min(running.timer + duration, duration * 2);
+			// the HUD bar shows time left out of this, so a refresh refills it
+			running.duration = running.timer;
+			emit(GameEvents.POWERUP_START, { power: type, duration: running.timer, refreshed: true });
+			return;
+		}
+
+		const power = { timer: duration, duration };
+		if (type === 'filter') {
+			player.filterActive = true;
+		} else if (type === 'pump') {
+			// temporarily boost speed; remember by how much so ending the pump
+			// takes back exactly that (speed bumps during the pump are kept)
+			power.boost = 60;
+			state.gameSpeed += power.boost;
+		}
+		state.activePowers[type] = power;
+		emit(GameEvents.POWERUP_START, { power: type, duration, refreshed: false });
+	}
+
+	/* Undo a timed powerup's effect once its timer runs out */
+	function endPowerup(type) {
+		const power = state.activePowers[type];
+		delete state.activePowers[type];
+		if (type === 'filter') state.player.filterActive = false;
+		else if (type === 'pump') state.gameSpeed -= power.boost;
+		emit(GameEvents.POWERUP_END, { power: type });
+	}
+
+	/* Choose and apply a random bonus when the player hits a jerry can.
+	   Returns { key, label } describing the bonus. */
+	function applyJerryBonus(fixed) {
+		const bonuses = ['life','score','filter','pump','magnet','shield','slowmo','doubler','confetti'];
+		const choice = bonuses.includes(fixed) ? fixed : bonuses[Math.floor(rng() * bonuses.length)];
+		switch (choice) {
+			case 'life': {
+				changeLives(1);
+				return { key: 'life', label: '+1 Life' };
+			}
+			case 'score': {
+				const pts = 50;
+				addScore(pts, 'jerry');
+				return { key: 'score', label: `+${pts}` };
+			}
+			case 'filter': {
+				activatePowerup('filter');
+				return { key: 'filter', label: 'Filter!' };
+			}
+			case 'pump': {
+				activatePowerup('pump');
+				return { key: 'pump', label: 'Pump!' };
+			}
+			case 'magnet': {
+				activatePowerup('magnet');
+				return { key: 'magnet', label: 'Magnet!' };
+			}
+			case 'shield': {
+				activatePowerup('shield');
+				return { key: 'shield', label: 'Shield!' };
+			}
+			case 'slowmo': {
+				activatePowerup('slowmo');
+				return { key: 'slowmo', label: 'Slow-mo!' };
+			}
+			case 'doubler': {
+				activatePowerup('doubler');
+				return { key: 'doubler', label: 'Double points!' };
+			}
+			case 'confetti': {
+				const pts = 30;
+				addScore(pts, 'jerry');
+				return { key: 'confetti', label: `+${pts}` };
+			}
+		}
+	}
+
+	/* After a hit: a short invulnerability window, a push back with a little hop
+	   and a mad face until the window ends */
+	function stagger() {
+		const player = state.player;
+		player.invulnTimer = config.invulnTime || 1;
+		player.isMad = true;
+		player.x = player.homeX - (config.knockback || 30);
+		if (player.onGround) {
+			player.vy = player.jumpPower * 0.35;
+			player.onGround = false;
+			player.jumping = false;
+			player.coyoteTimer = 0;
+		}
+	}
+
+	/* Count down the invulnerability window and ease the player back into place */
+	function updateStagger(dt) {
+		const player = state.player;
+		if (player.x < player.homeX) player.x = Math.min(player.homeX, player.x + 60 * dt);
+		if (player.invulnTimer > 0) {
+			player.invulnTimer = Math.max(0, player.invulnTimer - dt);
+			if (player.invulnTimer === 0) {
+				player.isMad = false;
+				emit(GameEvents.RECOVERED, {});
+			}
+		}
+	}
+
+	/* Magnet: pull nearby collectibles toward the middle of the player */
+	function pullCollectibles(dt) {
+		const player = state.player;
+		const px = player.x + player.width / 2;
+		const py = player.y + player.height / 2;
+		state.collectibles.forEach(c => {
+			const dx = px - (c.x + c.w / 2);
+			const dy = py - (c.y + c.h / 2);
+			const dist = Math.hypot(dx, dy);
+			if (dist > MAGNET_RANGE || dist < 1) return;
+			const move = Math.min(dist, MAGNET_PULL * dt);
+			c.x += dx / dist * move;
+			c.y += dy / dist * move;
+		});
+	}
+
+	/* Last life lost: stop the simulation */
+	function gameOver() {
+		state.running = false;
+		// set expression to mad so the player shows an angry face / posture
+		state.player.isMad = true;
+		emit(GameEvents.GAME_OVER, { score: state.score, time: state.time });
+	}
+
+	/* Fell into a gap: that's the end of the run, however many lives were left */
+	function fallIntoGap() {
+		const player = state.player;
+		emit(GameEvents.FELL, { x: player.x + player.width / 2, y: WORLD_HEIGHT - GROUND_OFFSET });
+		changeLives(-state.lives);
+		gameOver();
+	}
+
+	/* True when the player's feet are mostly over a gap (a little overlap at the edges is forgiven) */
+	function isOverGap() {
+		const player = state.player;
+		const left = player.x + player.width * 0.3;
+		const right = player.x + player.width * 0.7;
+		return state.gaps.some(g => g.x <= left && g.x + g.w >= right);
+	}
+
+	/* Campaign stage goal reached: stop the simulation as a win */
+	function completeLevel() {
+		state.running = false;
+		state.completed = true;
+		emit(GameEvents.LEVEL_COMPLETE, { score: state.score, time: state.time, lives: state.lives });
+	}
+
+	/* Advance the simulation by dt seconds (physics, spawning, collisions, timers) */
+	function simulate(dt, inputs) {
+		const player = state.player;
+		state.time += dt;
+
+		// apply input before physics so a jump pressed between steps takes effect now
+		// (duck first, so letting go of duck and jumping in the same step stands up, then jumps)
+		applyDuckInputs(inputs);
+		applyJumpInputs(dt, inputs);
+
+		// remember previous positions for stomp detection and render interpolation
+		player.prevY = player.y;
+		state.prevDistance = state.distance;
+
+		// increase difficulty slowly
+		// (campaign stages keep the speed their level file sets)
+		state.difficultyTimer += dt;
+		if (state.difficultyTimer > 10 && !level) {
+			// increase speed based on difficulty-configured bump amount
+			state.gameSpeed += config.bumpPer10s || 12; // small bump every 10 seconds
+			state.difficultyTimer = 0;
+		}
+
+		// Player physics: integrate velocity
+		player.vy += player.gravity * dt;
+		player.y += player.vy * dt;
+
+		// Ground collision (there's no ground over a gap, and once the feet have
+		// dropped below the ground line the player is falling in, not landing)
+		const groundY = WORLD_HEIGHT - GROUND_OFFSET - player.height;
+		const sinking = player.prevY > groundY + 0.5;
+		if (player.y >= groundY && !sinking && !isOverGap()) {
+			player.y = groundY;
+			player.vy = 0;
+			if (!player.onGround) {
+				emit(GameEvents.LAND, {});
+				endCombo('land');
+			}
+			player.onGround = true;
+			player.jumping = false;
+			player.coyoteTimer = config.coyoteTime || 0;
+		} else {
+			// walking off an edge leaves a short window (refilled while grounded) to still jump
+			player.coyoteTimer = Math.max(0, player.coyoteTimer - dt);
+			player.onGround = false;
+		}
+		if (player.y > groundY + FALL_DEPTH) {
+			fallIntoGap();
+			return;
+		}
+
+		// Spawning logic: a campaign stage places everything by distance,
+		// endless mode rolls probabilities at a cadence controlled by difficulty
+		// (slow-time stretches the cadence along with the scroll speed)
+		const slowFactor = state.activePowers.slowmo ? SLOWMO_FACTOR : 1;
+		state.spawnTimer += dt * slowFactor;
+		if (level) {
+			spawnFromLevel();
+		} else if (state.spawnTimer > (config.spawnInterval || 0.6)) {
+			// at most one ground hazard per tick, and none that crowds a pipe: a barrel or
+			// gap too close to a pipe can't be jumped right after sliding (or slid under
+			// right after landing), so one that would is taken straight back
+			let hazard = null;
+			if (rng() < (config.pipeProb || 0)) hazard = spawnPipe();
+			else if (rng() < (config.gapProb || 0)) hazard = spawnGap();
+			else if (rng() < (config.puddleProb || 0)) hazard = spawnPuddle();
+			else if (rng() < (config.spawnObstacleProb || 0.6)) {
+				if (rng() < (config.rollingBarrelProb || 0)) hazard = spawnRollingBarrel();
+				else hazard = spawnObstacle();
+			}
+			if (hazard && crowdsPipe(hazard)) {
+				state.obstacles = state.obstacles.filter(o => o !== hazard);
+				state.gaps = state.gaps.filter(g => g !== hazard);
+			}
+			if (rng() < (config.spawnCollectibleProb || 0.35)) spawnCollectible();
+			if (rng() < (config.spawnPowerupProb || 0.08)) spawnPowerup();
+			// small chance to spawn a charity: water jerry can (rare)
+			if (rng() < (config.jerryProb || 0.06)) spawnJerry();
+			state.spawnTimer = 0;
+		}
+
+		// Move obstacles / collectibles / powerups from right to left
+		// (prevX keeps the position from the start of this step for interpolation)
+		// (a puddle leaves the player slowed for a while; rolling barrels add their own speed)
+		if (player.dirtyTimer > 0) player.dirtyTimer = Math.max(0, player.dirtyTimer - dt);
+		const speedFactor = (player.dirtyTimer > 0 ? (config.puddleSlow || 0.7) : 1) * slowFactor;
+		const moveBy = state.gameSpeed * speedFactor * dt;
+		state.distance += moveBy;
+		state.obstacles.forEach(o => { o.prevX = o.x; o.x -= moveBy + (o.rollSpeed || 0) * dt; });
+		state.gaps.forEach(g => { g.prevX = g.x; g.x -= moveBy; });
+		state.collectibles.forEach(c => { c.prevX = c.x; c.x -= moveBy; });
+		if (state.activePowers.magnet) pullCollectibles(dt);
+		state.powerups.forEach(p => { p.prevX = p.x; p.x -= moveBy; });
+		if (state.village) {
+			state.village.prevX = state.village.x;
+			state.village.x -= moveBy;
+		}
+
+		updateStagger(dt);
+
+		// Remove off-screen items
+		state.obstacles = state.obstacles.filter(o => o.x + o.w > -20);
+		state.gaps = state.gaps.filter(g => g.x + g.w > -20);
+		state.collectibles = state.collectibles.filter(c => c.x + c.w > -20);
+		state.powerups = state.powerups.filter(p => p.x + p.w > -20);
+
+		// Collisions with obstacles (player is rectangle)
+		const playerRect = { x: player.x, y: player.y, width: player.width, height: player.height };
+		const obstacles = state.obstacles;
+
+		for (let i = obstacles.length - 1; i >= 0; i--) {
+			const o = obstacles[i];
+			if (!isColliding(playerRect, o)) continue;
+
+			// Puddles never cost a life: running through one slows the player (once per puddle),
+			// and an active filter cleans it up instead
+			if (o.puddle) {
+				if (state.activePowers.filter) {
+					obstacles.splice(i, 1);
+					emit(GameEvents.FILTERED, { x: o.x + o.w / 2, y: o.y });
+				} else if (!o.splashed) {
+					o.splashed = true;
+					player.dirtyTimer = config.puddleTime || 2;
+					emit(GameEvents.SPLASH, { x: player.x + player.width / 2, y: o.y, duration: player.dirtyTimer });
+				}
+				continue;
+			}
+
+			// If it's a barrel, allow stomping: player must be falling and previous bottom was above obstacle top
+			const playerPrevBottom = player.prevY + player.height;
+			const isFalling = player.vy > 0;
+
+			if (o.barrel && isFalling && playerPrevBottom <= o.y + 6) {
+				// Stomp: remove barrel, award points (grown by the combo), bounce player
+				const points = comboPoints(10, o.x + o.w / 2, o.y);
+				obstacles.splice(i, 1);
+				// small bounce: set upward velocity (fraction of jumpPower)
+				player.vy = player.jumpPower * 0.6;
+				player.onGround = false;
+				// a bounce isn't a jump: releasing the button doesn't cut it, and there's no coyote jump off a barrel
+				player.jumping = false;
+				player.coyoteTimer = 0;
+				emit(GameEvents.STOMP, { x: o.x + o.w / 2, y: o.y + o.h / 2, points, combo: state.combo });
+				addScore(points, 'stomp');
+			} else if (o.jerry) {
+				// jerry cans award a random bonus instead of damaging the player
+				obstacles.splice(i, 1);
+				const bonus = applyJerryBonus(o.bonus);
+				emit(GameEvents.JERRY, { x: player.x + player.width / 2, y: player.y + player.height / 2, bonus: bonus.key, label: bonus.label });
+			} else if (state.activePowers.filter) {
+				// filter neutralizes the hazard
+				obstacles.splice(i, 1);
+				emit(GameEvents.FILTERED, { x: o.x + o.w / 2, y: o.y + o.h / 2 });
+			} else if (player.invulnTimer > 0) {
+				// just hit: pass through anything else in the cluster
+				continue;
+			} else if (state.activePowers.shield) {
+				// the shield bubble takes the hit instead and pops
+				obstacles.splice(i, 1);
+				emit(GameEvents.SHIELD_BLOCK, { x: player.x + player.width / 2, y: player.y + player.height / 2 });
+				endPowerup('shield');
+			} else {
+				// take a life (and lose the combo)
+				obstacles.splice(i, 1);
+				endCombo('hit');
+				changeWater(-(config.waterSpill || 3), 'spill');
+				changeLives(-1);
+				emit(GameEvents.LIFE_LOST, { x: player.x + player.width / 2, y: player.y + player.height / 2, lives: state.lives, invulnTime: config.invulnTime || 1 });
+				// End game when lives reach 0
+				if (state.lives <= 0) {
+					gameOver();
+					return;
+				}
+				stagger();
+			}
+		}
+
+		// Collectibles collision -> +10 points (grown by the combo)
+		for (let i = state.collectibles.length - 1; i >= 0; i--) {
+			const c = state.collectibles[i];
+			if (isColliding(playerRect, c)) {
+				const points = comboPoints(10, c.x + c.w / 2, c.y);
+				state.collectibles.splice(i, 1);
+				emit(GameEvents.COLLECT, { x: c.x + c.w / 2, y: c.y + c.h / 2, points, combo: state.combo });
+				addScore(points, 'collect');
+				changeWater(1, 'collect');
+			}
+		}
+
+		// Delivery: running past the middle of the village hands over the water
+		if (state.village && player.x + player.width / 2 >= state.village.x + state.village.w / 2) deliverWater();
+
+		// Powerup collision
+		for (let i = state.powerups.length - 1; i >= 0; i--) {
+			const p = state.powerups[i];
+			if (isColliding(playerRect, p)) {
+				state.powerups.splice(i, 1);
+				emit(GameEvents.POWERUP_COLLECTED, { x: p.x + p.w / 2, y: p.y + p.h / 2, power: p.type });
+				activatePowerup(p.type);
+			}
+		}
+
+		// Powerup timers count down independently
+		Object.keys(state.activePowers).forEach(type => {
+			state.activePowers[type].timer -= dt;
+			if (state.activePowers[type].timer <= 0) endPowerup(type);
+		});
+
+		// Score increments by time survived (1 point per second, scaled by difficulty)
+		state.secondsCounter += dt;
+		if (state.secondsCounter >= 1) {
+			addScore(Math.floor(state.secondsCounter * pointsMultiplier()), 'time');
+			state.secondsCounter = 0;
+		}
+
+		// Campaign: reaching the goal distance finishes the stage
+		if (level && state.distance >= level.goal.distance) completeLevel();
+	}
+
+	/* Public: advance the game by dt seconds, then publish what happened */
+	function step(dt, inputs = {}) {
+		if (!state.running) return;
+		simulate(dt, inputs);
+		const stepEvents = events;
+		events = [];
+		stepEvents.forEach(e => bus.emit(e.type, e, state));
+		listeners.forEach(fn => fn(state, stepEvents));
+	}
+
+	/* Public: listen for changes after every step */
+	function subscribe(listener) {
+		listeners.push(listener);
+		return function unsubscribe() {
+			const i = listeners.indexOf(listener);
+			if (i !== -1) listeners.splice(i, 1);
+		};
+	}
+
+	return { state, step, on: bus.on, off: bus.off, once: bus.once, subscribe };
+}
+
+// Node (tests): export the core. In the browser these are plain globals used by script.js.
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		WORLD_WIDTH,
+		WORLD_HEIGHT,
+		GROUND_OFFSET,
+		PLAYER_HEIGHT,
+		PLAYER_DUCK_HEIGHT,
+		PIPE_BOTTOM,
+		FALL_DEPTH,
+		PIPE_RUN_OUT,
+		SIM_STEP,
+		createRng,
+		getDifficultySettings,
+		impactMilestones,
+		deliveryMessages,
+		POWERUP_TYPES,
+		POWERUP_DURATIONS,
+		COMBO_STEP,
+		COMBO_MAX,
+		GameEvents,
+		createEventBus,
+		isColliding,
+		normalizeLevel,
+		levelStars,
+		createGame
+	};
+}
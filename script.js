@@ -11,8 +11,11 @@ const gameOverScreen = document.getElementById('game-over');
 const playAgainBtn = document.getElementById('play-again-btn');
 const scoreDisplay = document.getElementById('score');
 const livesDisplay = document.getElementById('lives');
+const comboDisplay = document.getElementById('combo');
 const finalScore = document.getElementById('final-score');
 const waterFact = document.getElementById('water-fact');
+const finalSeed = document.getElementById('final-seed');
+const gameOverTitle = document.getElementById('game-over-title');
 const highscoreEl = document.getElementById('highscore');
 
 const canvas = document.getElementById('game-canvas');
@@ -20,6 +23,9 @@ const ctx = canvas.getContext('2d');
 // add HUD control reference (ensure pauseBtn exists to avoid ReferenceError)
 const pauseBtn = document.getElementById('pause-btn');
 const resetBtn = document.getElementById('reset-btn');
+// Display settings (see "Display settings")
+const motionSelect = document.getElementById('motion-select');
+const paletteSelect = document.getElementById('palette-select');
 // Difficulty UI elements (added to index.html)
 const difficultyRadios = document.querySelectorAll('input[name="difficulty"]');
 const difficultyDisplay = document.getElementById('difficulty-display');
@@ -30,10 +36,18 @@ let difficultyConfig = {};
 const canvasWrap = document.getElementById('canvas-wrap');
 
 /* =====================
-   Audio: SFX and BGM loader & player
+   Audio: Web Audio mixer (SFX and BGM)
    Place audio files in `audio/` (ogg preferred). If files are missing the game will continue silently.
    Expected filenames (examples): jump/collect/hit/powerup/stomp/click/win/bgm
    Defining this near the top ensures `playSound()` is available for early handlers (jump, UI clicks).
+
+   Everything plays through one AudioContext with three gain "buses":
+     sound effects -------------------> sfx bus   \
+                                                   master bus -> speakers
+     music -> low-pass filter (adaptive) -> music bus /
+   Each file is fetched and decoded once into an AudioBuffer; playing a sound just
+   starts a cheap buffer source, so busy moments don't pile up <audio> clones.
+   The bus volumes come from the sliders on the start screen (saved in 'cdr-volumes').
 ======================*/
 
 const audioFiles = {
@@ -47,88 +61,542 @@ const audioFiles = {
 	bgm: 'audio/bgm.ogg'
 };
 
-// Preload audio elements (Audio objects). For short SFX we create an Audio and clone when playing
-const audioCache = {};
-Object.keys(audioFiles).forEach(key => {
+// bus volumes (0..1); the defaults match the old fixed levels (0.9 SFX, 0.36 music)
+const VOLUMES_KEY = 'cdr-volumes';
+const DEFAULT_VOLUMES = { master: 1, music: 0.36, sfx: 0.9 };
+
+// sounds played often get a small random pitch change so repeats don't sound robotic
+// (the value is how far the rate may move either way: 0.06 = ±6%)
+const PITCH_VARIATION = { collect: 0.06, stomp: 0.05, jump: 0.04, hit: 0.03 };
+
+// stingers that push the music down while they play: fraction of the music volume kept
+const MUSIC_DUCKING = { powerup: 0.4, win: 0.25 };
+
+function loadVolumes() {
+	const volumes = Object.assign({}, DEFAULT_VOLUMES);
 	try {
-		const src = audioFiles[key];
-		const a = new Audio();
-		a.src = src;
-		a.preload = 'auto';
-		a.load();
-		audioCache[key] = a;
-		a.addEventListener('error', () => {
-			// not fatal; warn for debugging
-			// console.warn(`Audio failed to load: ${src}`);
-		});
+		const saved = JSON.parse(localStorage.getItem(VOLUMES_KEY));
+		if (saved && typeof saved === 'object') {
+			Object.keys(volumes).forEach(bus => {
+				if (Number.isFinite(saved[bus])) volumes[bus] = Math.max(0, Math.min(1, saved[bus]));
+			});
+		}
 	} catch (e) {
-		// ignore environments without Audio
+		// corrupt save: keep the defaults
 	}
-});
+	return volumes;
+}
+let volumes = loadVolumes();
+
+let audioCtx = null;      // created on first use (browsers only allow audio after a click or key press)
+const buses = {};         // master / music / sfx GainNodes
+const audioBuffers = {};  // name -> decoded AudioBuffer
+let musicVoice = null;    // the music while it plays: { out, sources, timer, synth }
+let bgmWanted = false;    // music was asked for before its file finished decoding
+let musicFilter = null;   // low-pass between the music and its bus (see "Audio: adaptive music")
+
+/* Create the AudioContext and buses, and start decoding the files.
+   Returns null where Web Audio isn't available (the game then stays silent). */
+function getAudioContext() {
+	if (audioCtx) return audioCtx;
+	const AudioCtor = window.AudioContext || window.webkitAudioContext;
+	if (!AudioCtor) return null;
+	try {
+		audioCtx = new AudioCtor();
+	} catch (e) {
+		return null;
+	}
+	buses.master = audioCtx.createGain();
+	buses.music = audioCtx.createGain();
+	buses.sfx = audioCtx.createGain();
+	buses.music.connect(buses.master);
+	buses.sfx.connect(buses.master);
+	buses.master.connect(audioCtx.destination);
+	Object.keys(buses).forEach(bus => { buses[bus].gain.value = volumes[bus]; });
+	musicFilter = audioCtx.createBiquadFilter();
+	musicFilter.type = 'lowpass';
+	musicFilter.frequency.value = MUSIC_FILTER_OPEN;
+	musicFilter.connect(buses.music);
+	loadAudioBuffers();
+	return audioCtx;
+}
+
+/* Fetch and decode every file; a missing one falls back to its synth version.
+   Lightweight audio skips the files altogether. */
+let audioRequested = false;
+function loadAudioBuffers() {
+	if (audioRequested || lightweightAudio) return;
+	audioRequested = true;
+	Object.keys(audioFiles).forEach(key => {
+		fetch(audioFiles[key])
+			.then(res => {
+				if (!res.ok) throw new Error(`${res.status} ${audioFiles[key]}`);
+				return res.arrayBuffer();
+			})
+			.then(data => audioCtx.decodeAudioData(data))
+			.then(buffer => {
+				audioBuffers[key] = buffer;
+				// music asked for while it was still loading starts now
+				if (key === 'bgm' && bgmWanted) startMusic();
+			})
+			.catch(() => {
+				// not fatal: the synth version of this cue plays from now on
+				console.warn(`Audio failed to load: ${audioFiles[key]} — using the synthesized version`);
+				failedAudio.add(key);
+				if (key === 'bgm' && bgmWanted) startMusic();
+			});
+	});
+}
+
+/* Set a bus volume (0..1), apply it right away and save it */
+function setVolume(bus, value) {
+	volumes[bus] = Math.max(0, Math.min(1, value));
+	localStorage.setItem(VOLUMES_KEY, JSON.stringify(volumes));
+	if (buses[bus]) {
+		const gain = buses[bus].gain;
+		gain.cancelScheduledValues(audioCtx.currentTime);
+		gain.setValueAtTime(volumes[bus], audioCtx.currentTime);
+	}
+}
+
+/* Dip the music under a stinger, then bring it back up when the stinger ends */
+function duckMusic(level, seconds) {
+	if (!audioCtx || !buses.music) return;
+	const gain = buses.music.gain;
+	const now = audioCtx.currentTime;
+	const low = volumes.music * level;
+	gain.cancelScheduledValues(now);
+	gain.setValueAtTime(gain.value, now);
+	gain.linearRampToValueAtTime(low, now + 0.05);
+	gain.setValueAtTime(low, now + Math.max(0.05, seconds));
+	gain.linearRampToValueAtTime(volumes.music, now + seconds + 0.4);
+}
 
-// Play a short SFX by cloning the cached Audio element so multiple instances can overlap.
 // Track whether audio should currently play. This is true during gameplay and
 // turned false when the game ends so no further SFX/BGM will play.
 // persisted mute flag (true when muted)
 let muted = (localStorage.getItem('cdr-muted') === 'true');
 // audioEnabled reflects whether audio may play (true when not muted)
 let audioEnabled = !muted;
-// Track active cloned audio instances so we can stop them on game over.
-const activeAudioInstances = new Set();
+// Track playing SFX sources so we can stop them on game over.
+const activeSources = new Set();
 
 function playSound(name, options = {}) {
-	// options: { volume, play, force, excludeFromStop }
+	// options: { volume, rate, play, force, excludeFromStop }
+	// `volume` scales this one sound within its bus (1 = as loud as the bus).
+	// `rate` changes the playback speed (and pitch) so one file can serve several cues.
 	// `force` allows playing even when `audioEnabled` is false (useful for
-	// feedback clicks when muting). `excludeFromStop` marks the instance so
-	// `stopAllAudio()` will not pause/remove it.
+	// feedback clicks when muting). `excludeFromStop` marks the sound so
+	// `stopAllAudio()` will not stop it.
 	const force = !!options.force;
 	if (!audioEnabled && !force) return;
-	const base = audioCache[name];
-	if (!base) return;
-	try {
-		// For BGM, use the base element and control loop/volume
-		if (name === 'bgm') {
-			base.loop = true;
-			base.volume = (options.volume !== undefined) ? options.volume : 0.36;
-			if (options.play) base.play().catch(() => {});
-			return;
+	// replays stay quiet while seeking or fast-forwarding
+	if (replay && (replay.silent || replay.speed > 1)) return;
+	const ctx = getAudioContext();
+	if (!ctx) return;
+	// a context created before any click starts suspended; the click that got us here unlocks it
+	if (ctx.state === 'suspended') ctx.resume().catch(() => {});
+
+	// For BGM, start the looping music on the music bus
+	if (name === 'bgm') {
+		if (options.play) startMusic();
+		return;
+	}
+
+	const variation = PITCH_VARIATION[name] || 0;
+	const rate = (options.rate || 1) * (1 + (Math.random() * 2 - 1) * variation);
+	const volume = (options.volume !== undefined) ? options.volume : 1;
+	// missing file (or lightweight audio): play the synthesized version instead
+	if (useSynth(name)) {
+		try {
+			const duration = playSynthSound(ctx, name, rate, volume, !options.excludeFromStop);
+			if (MUSIC_DUCKING[name] !== undefined) duckMusic(MUSIC_DUCKING[name], duration);
+		} catch (e) {
+			// ignore playback exceptions
 		}
+		return;
+	}
 
-		// For short SFX, clone the Audio so multiple instances can overlap.
-		const inst = base.cloneNode(true);
-		inst.volume = (options.volume !== undefined) ? options.volume : 0.9;
-
-		// Track instance so we can stop it on game over, unless explicitly excluded.
-		const shouldTrack = !options.excludeFromStop;
-		if (shouldTrack) activeAudioInstances.add(inst);
-		const removeInstance = () => { if (shouldTrack) activeAudioInstances.delete(inst); };
-		inst.addEventListener('ended', removeInstance);
-		inst.addEventListener('pause', removeInstance);
-		inst.play().catch(() => {
-			// If playback fails (autoplay policy), ensure we don't leak the instance
-			removeInstance();
-		});
+	const buffer = audioBuffers[name];
+	if (!buffer) return;
+	try {
+		const source = ctx.createBufferSource();
+		source.buffer = buffer;
+		source.playbackRate.value = rate;
+		const gain = ctx.createGain();
+		gain.gain.value = volume;
+		source.connect(gain);
+		gain.connect(buses.sfx);
+
+		// Track the source so we can stop it on game over, unless explicitly excluded.
+		if (!options.excludeFromStop) {
+			activeSources.add(source);
+			source.onended = () => activeSources.delete(source);
+		}
+		source.start();
+		if (MUSIC_DUCKING[name] !== undefined) duckMusic(MUSIC_DUCKING[name], buffer.duration / rate);
 	} catch (e) {
-		// ignore playback exceptions (autoplay policies, missing file)
+		// ignore playback exceptions
+	}
+}
+
+/* Loop the background music on the music bus (waits for the file if it's still loading;
+   the generative synth loop plays if the file is missing or audio is lightweight) */
+function startMusic() {
+	bgmWanted = true;
+	if (!audioCtx || musicVoice) return;
+	const synth = useSynth('bgm');
+	if (!synth && !audioBuffers.bgm) return;
+	// each start gets its own gain node so a fading-out loop can overlap the next one
+	const out = audioCtx.createGain();
+	out.connect(musicFilter);
+	musicVoice = { out, sources: [], timer: null, synth: null };
+	if (synth) {
+		startSynthMusic(musicVoice);
+		return;
 	}
+	const source = startLoop(audioBuffers.bgm, out, audioCtx.currentTime + 0.05);
+	// picks up the run's current intensity straight away (see musicRate)
+	source.playbackRate.value = musicRate();
+	musicVoice.sources.push(source);
+}
+
+/* Start a looping buffer source into `out` at time `when` */
+function startLoop(buffer, out, when) {
+	const source = audioCtx.createBufferSource();
+	source.buffer = buffer;
+	source.loop = true;
+	source.connect(out);
+	source.start(when);
+	return source;
 }
 
 // Helper: start/stop background music
-function startBGM() { if (audioEnabled) playSound('bgm', { play: true, volume: 0.36 }); }
-function stopBGM() { const b = audioCache['bgm']; if (b) { b.pause(); try { b.currentTime = 0; } catch(e){} } }
+function startBGM() { if (audioEnabled) playSound('bgm', { play: true }); }
+/* Stop the music, fading it out over `fade` seconds (0 = cut it right away) */
+function stopBGM(fade = 0) {
+	bgmWanted = false;
+	if (!musicVoice) return;
+	const voice = musicVoice;
+	musicVoice = null;
+	clearInterval(voice.timer);
+	const now = audioCtx.currentTime;
+	if (fade > 0) {
+		voice.out.gain.setValueAtTime(voice.out.gain.value, now);
+		voice.out.gain.linearRampToValueAtTime(0, now + fade);
+	}
+	voice.sources.forEach(source => {
+		try { source.stop(now + fade); } catch (e) {}
+	});
+	// (synth notes are scheduled a little ahead; disconnecting silences them too)
+	setTimeout(() => voice.out.disconnect(), fade * 1000 + 50);
+}
 
-// Stop and clear all active audio instances (SFX and BGM). Called on game over.
-function stopAllAudio() {
+// Stop and clear all playing audio (SFX and BGM). Called on game over.
+// `fade` lets the music fade out (seconds) instead of stopping dead.
+function stopAllAudio(fade = 0) {
 	// disable audio to prevent new sounds from starting while we clean up
 	audioEnabled = false;
-	// stop cloned SFX instances
-	for (const inst of Array.from(activeAudioInstances)) {
-		try { inst.pause(); inst.currentTime = 0; } catch (e) {}
-		activeAudioInstances.delete(inst);
+	// stop sound effects
+	for (const source of Array.from(activeSources)) {
+		try { source.stop(); } catch (e) {}
+		activeSources.delete(source);
 	}
 	// stop background music
-	stopBGM();
+	stopBGM(fade);
+}
+
+/* =====================
+   Audio: synthesized fallback
+   Every cue also has a small Web Audio synth version. It plays instead of the file
+   when that file fails to load (kiosk builds strip the big ones), or for every cue
+   when "Lightweight audio" is ticked on the start screen (then no files are fetched).
+   The music fallback is a generative loop: a bass line over a fixed chord
+   progression with a random walk of pentatonic notes on top.
+======================*/
+
+let lightweightAudio = (localStorage.getItem('cdr-lightweight-audio') === 'true');
+const failedAudio = new Set(); // cues whose file couldn't be fetched or decoded
+
+function useSynth(name) {
+	return lightweightAudio || failedAudio.has(name);
+}
+
+/* Switch lightweight audio on or off (saved); playing music swaps over straight away */
+function setLightweightAudio(on) {
+	lightweightAudio = !!on;
+	localStorage.setItem('cdr-lightweight-audio', lightweightAudio ? 'true' : 'false');
+	if (!lightweightAudio && audioCtx) loadAudioBuffers();
+	if (bgmWanted) {
+		stopBGM();
+		startMusic();
+	}
+}
+
+/* One oscillator note: frequency glides from `from` to `to`, volume fades out over dur */
+function synthTone(ctx, out, { type = 'sine', from, to = from, start, dur, vol = 0.3 }) {
+	const osc = ctx.createOscillator();
+	osc.type = type;
+	osc.frequency.setValueAtTime(from, start);
+	if (to !== from) osc.frequency.exponentialRampToValueAtTime(to, start + dur);
+	const gain = ctx.createGain();
+	gain.gain.setValueAtTime(0.0001, start);
+	gain.gain.exponentialRampToValueAtTime(vol, start + 0.01);
+	gain.gain.exponentialRampToValueAtTime(0.0001, start + dur);
+	osc.connect(gain);
+	gain.connect(out);
+	osc.start(start);
+	osc.stop(start + dur + 0.02);
+	return osc;
+}
+
+/* A burst of filtered white noise (thumps, splashes) */
+let noiseBuffer = null;
+function synthNoise(ctx, out, { start, dur, vol = 0.3, cutoff = 1200 }) {
+	if (!noiseBuffer) {
+		noiseBuffer = ctx.createBuffer(1, ctx.sampleRate * 0.5, ctx.sampleRate);
+		const data = noiseBuffer.getChannelData(0);
+		for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+	}
+	const src = ctx.createBufferSource();
+	src.buffer = noiseBuffer;
+	const filter = ctx.createBiquadFilter();
+	filter.type = 'lowpass';
+	filter.frequency.value = cutoff;
+	const gain = ctx.createGain();
+	gain.gain.setValueAtTime(vol, start);
+	gain.gain.exponentialRampToValueAtTime(0.0001, start + dur);
+	src.connect(filter);
+	filter.connect(gain);
+	gain.connect(out);
+	src.start(start);
+	src.stop(start + dur + 0.02);
+	return src;
+}
+
+/* The synth version of each cue. Each takes (ctx, out, t, r): t is the start time,
+   r the playback rate (it scales pitch and speed like it does for the files).
+   Returns the sources it started and how long the cue lasts. */
+const synthSounds = {
+	// springy upward blip
+	jump: (ctx, out, t, r) => ({
+		sources: [synthTone(ctx, out, { type: 'square', from: 300 * r, to: 720 * r, start: t, dur: 0.15 / r, vol: 0.15 })],
+		duration: 0.15 / r
+	}),
+	// two bright chime notes
+	collect: (ctx, out, t, r) => ({
+		sources: [
+			synthTone(ctx, out, { from: 880 * r, start: t, dur: 0.08 / r, vol: 0.25 }),
+			synthTone(ctx, out, { from: 1320 * r, start: t + 0.06 / r, dur: 0.16 / r, vol: 0.25 })
+		],
+		duration: 0.22 / r
+	}),
+	// low buzz with a crunch of noise
+	hit: (ctx, out, t, r) => ({
+		sources: [
+			synthTone(ctx, out, { type: 'sawtooth', from: 160 * r, to: 60 * r, start: t, dur: 0.25 / r, vol: 0.25 }),
+			synthNoise(ctx, out, { start: t, dur: 0.18 / r, vol: 0.3, cutoff: 900 })
+		],
+		duration: 0.25 / r
+	}),
+	// rising arpeggio
+	powerup: (ctx, out, t, r) => ({
+		sources: [523, 659, 784, 1047].map((f, i) =>
+			synthTone(ctx, out, { type: 'triangle', from: f * r, start: t + i * 0.07 / r, dur: 0.14 / r, vol: 0.22 })),
+		duration: 0.35 / r
+	}),
+	// falling thump
+	stomp: (ctx, out, t, r) => ({
+		sources: [
+			synthTone(ctx, out, { from: 190 * r, to: 50 * r, start: t, dur: 0.16 / r, vol: 0.45 }),
+			synthNoise(ctx, out, { start: t, dur: 0.06 / r, vol: 0.2, cutoff: 2500 })
+		],
+		duration: 0.16 / r
+	}),
+	// short tick
+	click: (ctx, out, t, r) => ({
+		sources: [synthTone(ctx, out, { type: 'square', from: 1000 * r, start: t, dur: 0.03 / r, vol: 0.08 })],
+		duration: 0.03 / r
+	}),
+	// fanfare ending on a held note
+	win: (ctx, out, t, r) => ({
+		sources: [523, 659, 784].map((f, i) =>
+			synthTone(ctx, out, { type: 'triangle', from: f * r, start: t + i * 0.12 / r, dur: 0.18 / r, vol: 0.25 }))
+			.concat([synthTone(ctx, out, { type: 'triangle', from: 1047 * r, start: t + 0.36 / r, dur: 0.6 / r, vol: 0.28 })]),
+		duration: 0.96 / r
+	})
+};
+
+/* Play the synth version of a cue through the SFX bus; returns how long it lasts */
+function playSynthSound(ctx, name, rate, volume, track) {
+	const make = synthSounds[name];
+	if (!make) return 0;
+	const out = ctx.createGain();
+	out.gain.value = volume;
+	out.connect(buses.sfx);
+	const cue = make(ctx, out, ctx.currentTime, rate);
+	if (track) {
+		cue.sources.forEach(source => {
+			activeSources.add(source);
+			source.onended = () => activeSources.delete(source);
+		});
+	}
+	return cue.duration;
+}
+
+/* Generative music loop. Notes are scheduled a little ahead of time from a timer,
+   one eighth note at a time. */
+const SYNTH_BPM = 100;
+const SYNTH_CHORDS = [[130.81, 261.63], [110.00, 220.00], [87.31, 174.61], [98.00, 196.00]]; // C Am F G: bass, root
+const SYNTH_SCALE = [523.25, 587.33, 659.25, 783.99, 880.00, 1046.50]; // C major pentatonic (+ top C)
+
+/* Run the generative loop as the given music voice (see startMusic) */
+function startSynthMusic(voice) {
+	voice.out.gain.value = 0.6;
+	voice.synth = { nextTime: audioCtx.currentTime + 0.05, step: 0, note: 2 };
+	voice.timer = setInterval(() => scheduleSynthMusic(voice), 100);
+	scheduleSynthMusic(voice);
+}
+
+/* Schedule every eighth note that starts within the next 0.3 seconds.
+   The music intensity speeds the tempo up and adds hi-hats, then a kick drum. */
+function scheduleSynthMusic(voice) {
+	const synth = voice.synth;
+	const intensity = musicMood.intensity;
+	const eighth = 60 / (SYNTH_BPM + 30 * intensity) / 2;
+	while (synth.nextTime < audioCtx.currentTime + 0.3) {
+		const t = synth.nextTime;
+		const step = synth.step;
+		const chord = SYNTH_CHORDS[Math.floor(step / 8) % SYNTH_CHORDS.length];
+		// bass on the beat, pulsing root on the off-beats
+		if (step % 2 === 0) synthTone(audioCtx, voice.out, { type: 'triangle', from: chord[0], start: t, dur: eighth * 1.8, vol: 0.3 });
+		else synthTone(audioCtx, voice.out, { type: 'sine', from: chord[1], start: t, dur: eighth * 0.8, vol: 0.08 });
+		if (intensity > 0.3 && step % 2 === 1) synthNoise(audioCtx, voice.out, { start: t, dur: 0.04, vol: 0.06, cutoff: 8000 });
+		if (intensity > 0.6 && step % 4 === 0) synthTone(audioCtx, voice.out, { from: 120, to: 45, start: t, dur: 0.12, vol: 0.35 });
+		// melody: wander up or down the scale, resting now and then (less often when intense)
+		if (Math.random() < 0.6 + 0.3 * intensity) {
+			synth.note = Math.max(0, Math.min(SYNTH_SCALE.length - 1, synth.note + Math.floor(Math.random() * 3) - 1));
+			synthTone(audioCtx, voice.out, { type: 'triangle', from: SYNTH_SCALE[synth.note], start: t, dur: eighth * 0.9, vol: 0.1 });
+		}
+		synth.nextTime += eighth;
+		synth.step++;
+	}
+}
+
+/* "Lightweight audio" checkbox on the start screen */
+function initLightweightToggle() {
+	const toggle = document.getElementById('lightweight-audio-toggle');
+	if (!toggle) return;
+	toggle.checked = lightweightAudio;
+	toggle.addEventListener('change', () => setLightweightAudio(toggle.checked));
+}
+initLightweightToggle();
+
+/* =====================
+   Audio: adaptive music
+   The music follows the run:
+   - intensity (0..1) climbs as the speed bumps add up, playing the music file a little
+     faster (the synth loop speeds up its tempo and adds drums instead)
+   - the pump powerup sweeps a resonant filter up and down over the music
+   - on the last life the music is muffled behind a low-pass filter
+   - at the end of a run it fades out (under the win stinger) rather than cutting off
+   The filter sits between every music source and the music bus, so it keeps its
+   setting across mute/unmute; resetAdaptiveMusic() clears it for a new run.
+======================*/
+
+const MUSIC_FILTER_OPEN = 20000;   // Hz: filter wide open (no effect)
+const MUSIC_FILTER_DANGER = 700;   // Hz: muffled cut-off on the last life
+const MUSIC_INTENSITY_RANGE = 150; // speed gained (px/s) over the starting speed for full intensity
+const MUSIC_MAX_RATE = 1.08;       // playback rate of the music file at full intensity
+const MUSIC_WIN_FADE = 1.2;        // seconds the music takes to fade under the win stinger
+
+const musicMood = { intensity: 0, baseSpeed: null, pump: false, lastLife: false };
+let pumpSweep = null; // LFO oscillator moving the filter while the pump runs
+
+/* Back to calm, open music for a new run */
+function resetAdaptiveMusic() {
+	musicMood.intensity = 0;
+	musicMood.baseSpeed = null;
+	musicMood.pump = false;
+	musicMood.lastLife = false;
+	if (musicVoice) musicVoice.sources.forEach(source => { source.playbackRate.value = 1; });
+	applyMusicFilter();
+}
+
+/* Playback rate of the music file for the current intensity */
+function musicRate() {
+	return 1 + (MUSIC_MAX_RATE - 1) * musicMood.intensity;
+}
+
+/* Called every frame with the simulation state; only touches the audio when something changed */
+function updateAdaptiveMusic(state) {
+	const pump = state.activePowers.pump;
+	// the pump's boost is a powerup, not progress, so it doesn't raise the intensity
+	const speed = state.gameSpeed - (pump ? pump.boost : 0);
+	if (musicMood.baseSpeed === null) musicMood.baseSpeed = speed;
+	const intensity = Math.max(0, Math.min(1, (speed - musicMood.baseSpeed) / MUSIC_INTENSITY_RANGE));
+	if (Math.abs(intensity - musicMood.intensity) >= 0.02) {
+		musicMood.intensity = intensity;
+		if (audioCtx && musicVoice) {
+			musicVoice.sources.forEach(source => source.playbackRate.setTargetAtTime(musicRate(), audioCtx.currentTime, 0.5));
+		}
+	}
+	const lastLife = state.lives === 1;
+	if (!!pump !== musicMood.pump || lastLife !== musicMood.lastLife) {
+		musicMood.pump = !!pump;
+		musicMood.lastLife = lastLife;
+		applyMusicFilter();
+	}
+}
+
+/* Glide the music filter to match the mood (pump sweep, last-life muffle or open) */
+function applyMusicFilter() {
+	if (!musicFilter) return;
+	const now = audioCtx.currentTime;
+	const freq = musicFilter.frequency;
+	if (pumpSweep) {
+		try { pumpSweep.stop(); } catch (e) {}
+		pumpSweep.disconnect();
+		pumpSweep = null;
+	}
+	freq.cancelScheduledValues(now);
+	if (musicMood.pump) {
+		// a slow LFO swings the cut-off around its centre twice a second
+		const centre = musicMood.lastLife ? MUSIC_FILTER_DANGER + 500 : 1800;
+		freq.setTargetAtTime(centre, now, 0.1);
+		musicFilter.Q.setTargetAtTime(6, now, 0.1);
+		pumpSweep = audioCtx.createOscillator();
+		pumpSweep.frequency.value = 2;
+		const depth = audioCtx.createGain();
+		depth.gain.value = centre * 0.75;
+		pumpSweep.connect(depth);
+		depth.connect(freq);
+		pumpSweep.start();
+	} else {
+		freq.setTargetAtTime(musicMood.lastLife ? MUSIC_FILTER_DANGER : MUSIC_FILTER_OPEN, now, 0.3);
+		musicFilter.Q.setTargetAtTime(0.7, now, 0.2);
+	}
+}
+
+/* Volume sliders (0-100) on the start screen, one per bus */
+function initVolumeSliders() {
+	document.querySelectorAll('input[data-volume-bus]').forEach(slider => {
+		const bus = slider.dataset.volumeBus;
+		slider.value = Math.round(volumes[bus] * 100);
+		slider.addEventListener('input', () => setVolume(bus, slider.value / 100));
+		// a short click lets the player hear the new SFX level
+		if (bus !== 'music') slider.addEventListener('change', () => playSound('click', { force: !muted }));
+	});
+}
+initVolumeSliders();
+
+/* Browsers only allow audio after a click or key press, so the context is created (and
+   the files start decoding) on the first one rather than when the page loads */
+function unlockAudio() {
+	const ctx = getAudioContext();
+	if (ctx && ctx.state === 'suspended') ctx.resume().catch(() => {});
 }
+['pointerdown', 'keydown'].forEach(type => window.addEventListener(type, unlockAudio, { capture: true, once: true }));
 
 // Update UI for mute buttons and persist state
 function updateMuteUI() {
@@ -154,21 +622,20 @@ function setMuted(value) {
 	}
 }
 
+// Mute button / mute key. Play the click sound even when muting: we force playback
+// and exclude the instance from global stop so it won't be immediately silenced
+// when setMuted(true) calls stopAllAudio().
+function toggleMute() {
+	playSound('click', { force: true, excludeFromStop: true });
+	setMuted(!muted);
+}
+
 // attach handlers for mute buttons (both desktop and mobile versions)
 function initMuteButtons() {
 	const b = document.getElementById('mute-btn');
 	const bm = document.getElementById('mute-btn-mobile');
-	// Play the click sound even when muting. We force playback and exclude the
-	// instance from global stop so it won't be immediately silenced when
-	// setMuted(true) calls stopAllAudio().
-	if (b) b.addEventListener('click', () => {
-		playSound('click', { force: true, excludeFromStop: true });
-		setMuted(!muted);
-	});
-	if (bm) bm.addEventListener('click', () => {
-		playSound('click', { force: true, excludeFromStop: true });
-		setMuted(!muted);
-	});
+	if (b) b.addEventListener('click', toggleMute);
+	if (bm) bm.addEventListener('click', toggleMute);
 	// reflect initial state
 	updateMuteUI();
 }
@@ -181,6 +648,8 @@ initMuteButtons();
    className is one of .popup-collect/.popup-stomp/.popup-powerup/.popup-hit to style it. */
 function createPopup(text, logicalX, logicalY, className) {
 	if (!canvasWrap) return;
+	// skip popups while a replay is seeking or fast-forwarding
+	if (replay && (replay.silent || replay.speed > 1)) return;
 	const wrapRect = canvasWrap.getBoundingClientRect();
 	// convert logical canvas coords to pixel positions within the canvas wrapper
 	const px = (logicalX / canvas.width) * canvasWrap.clientWidth;
@@ -199,9 +668,11 @@ function createPopup(text, logicalX, logicalY, className) {
 
 	// force a reflow, then animate upward + fade
 	// small timeout to ensure transition runs
+	// (reduced motion rises less; with motion off the popup only fades)
+	const rise = 50 + 90 * motionAmount();
 	requestAnimationFrame(() => {
 		requestAnimationFrame(() => {
-			el.style.transform = 'translate(-50%, -140%) scale(1.02)';
+			el.style.transform = `translate(-50%, -${rise}%) scale(${reducedMotion ? 1 : 1.02})`;
 			el.style.opacity = '0';
 		});
 	});
@@ -218,58 +689,15 @@ function createPopup(text, logicalX, logicalY, className) {
 let running = false;
 let paused = false; // new: pause state
 let lastTime = 0;
-let spawnTimer = 0;
-let score = 0;
-let secondsCounter = 0;
-let highscore = Number(localStorage.getItem('cdr-highscore') || 0);
-
-let gameSpeed = 180; // pixels per second base
-let difficultyTimer = 0;
-
-/* Default difficulty settings (adjusts pace, spawn rates, lives, scoring) */
-function getDifficultySettings(mode) {
-	// returns settings object for Easy / Normal / Hard
-	switch (mode) {
-		case 'Easy':
-			return {
-				gameSpeed: 140,
-				lives: 5,
-				spawnObstacleProb: 0.45,
-				spawnCollectibleProb: 0.5,
-				spawnPowerupProb: 0.12,
-				scoreMultiplier: 0.9,
-				bumpPer10s: 8,
-				/* spawnInterval (seconds) controls how often we try to spawn items;
-				   make Easy mode spawn less frequently (longer interval) */
-				spawnInterval: 0.9
-			};
-		case 'Hard':
-			return {
-				gameSpeed: 220,
-				lives: 2,
-				spawnObstacleProb: 0.78,
-				spawnCollectibleProb: 0.28,
-				spawnPowerupProb: 0.05,
-				scoreMultiplier: 1.15,
-				bumpPer10s: 20,
-				/* Hard spawns more often */
-				spawnInterval: 0.45
-			};
-		case 'Normal':
- 		default:
- 			return {
- 				gameSpeed: 180,
- 				lives: 3,
- 				spawnObstacleProb: 0.6,
- 				spawnCollectibleProb: 0.35,
- 				spawnPowerupProb: 0.08,
- 				scoreMultiplier: 1.0,
-	 			bumpPer10s: 12,
-	 			/* default spawning cadence */
-	 			spawnInterval: 0.6
- 			};
-}
-}
+let simAccumulator = 0; // real seconds not yet simulated (always < SIM_STEP after a frame)
+let highscore = 0; // best saved score for the difficulty being played (see Leaderboard)
+
+/* The current run. createGame() (game-core.js) holds all simulation state:
+   player, obstacles, score, lives, powerups. This file only reads it. */
+let game = null;
+
+/* Inputs collected since the last simulation step (handed to game.step) */
+let pendingInputs = { jump: false, jumpRelease: false, duck: false, duckRelease: false };
 
 // apply saved difficulty selection to radios and HUD
 function applySavedDifficulty() {
@@ -292,28 +720,112 @@ difficultyRadios.forEach(r => {
     });
 });
 
-/* Player (clean water drop) */
-const player = {
-	x: 80,
-	y: 0,
-	width: 44,
-	height: 56,
-	vy: 0,
-	jumpPower: -760,
-	gravity: 2200,
-	onGround: true,
-	color: '#2E9DF7',
-	filterActive: false,
-	// new: track expression state (happy vs mad)
-	isMad: false,
-	// new: remember previous Y to detect stomps
-	prevY: 0
+/* =====================
+   Display settings: motion and colour palette (start screen, saved in localStorage)
+   Motion ('cdr-motion'):
+     full    - everything moves
+     reduced - no screen shake or zooms, and the rest is softened: fewer, slower
+               confetti and speed lines, gentle cloud drift and tree sway, a
+               steady (not blinking) player after a hit, popups that barely rise
+     off     - as reduced, with no confetti, speed lines, drift, sway, bob or rising popups
+   Until the player picks one it follows the system's prefers-reduced-motion.
+   `reducedMotion` stays the quick check for "anything but full" (see Camera effects).
+   Palette ('cdr-palette'): the canvas colours (PALETTES) and the matching
+   body[data-palette] rules for the .popup-* styles in styles.css. Every palette
+   but the standard one also adds shape cues to clean drops and powerups, so
+   they never depend on colour alone.
+======================*/
+
+const MOTION_AMOUNT = { full: 1, reduced: 0.25, off: 0 }; // how much of each effect is kept
+
+function loadMotionLevel() {
+	const saved = localStorage.getItem('cdr-motion');
+	if (MOTION_AMOUNT[saved] !== undefined) return saved;
+	// older saves only had the reduce motion checkbox
+	const legacy = localStorage.getItem('cdr-reduced-motion');
+	if (legacy !== null) return legacy === 'true' ? 'reduced' : 'full';
+	return (window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches) ? 'reduced' : 'full';
+}
+let motionLevel = loadMotionLevel();
+let reducedMotion = motionLevel !== 'full';
+
+/* Scale for a decorative movement: 1 with full motion, less when reduced, 0 when off */
+function motionAmount() {
+	return MOTION_AMOUNT[motionLevel];
+}
+
+function setMotionLevel(level) {
+	if (MOTION_AMOUNT[level] === undefined) return;
+	motionLevel = level;
+	reducedMotion = level !== 'full';
+	localStorage.setItem('cdr-motion', level);
+	applyDisplaySettings();
+}
+
+/* Canvas colours per palette. `shapes` turns on the shape cues.
+   The colour-blind palettes use the Okabe-Ito colours, which stay apart for
+   deuteranopia and protanopia; protanopia also avoids reds, which look dark to it. */
+const PALETTES = {
+	standard: {
+		sky: '#e6f8ff', tiles: '#d4f0ff',
+		drop: ['#cfefff', '#7fd7ff', '#2E9DF7'], filtered: ['#9ff7c6', '#2EA84A'],
+		outline: 'rgba(4,34,60,0.85)', hurt: 'rgba(245,64,44,0.9)',
+		collectible: '#4FCB53', powerups: {}, shapes: false
+	},
+	'high-contrast': {
+		sky: '#ffffff', tiles: '#b8c4cc',
+		drop: ['#6fc3ff', '#1f7fe0', '#003c9e'], filtered: ['#ffffff', '#00a040'],
+		outline: '#000000', hurt: '#e00000',
+		collectible: '#ffd400',
+		powerups: { filter: '#00c8c8', pump: '#ff7a00', well: '#008a2e', magnet: '#000000', shield: '#0050ff', slowmo: '#8a2be2', doubler: '#ffd400' },
+		shapes: true
+	},
+	deuteranopia: {
+		sky: '#eef6fb', tiles: '#d9e8f2',
+		drop: ['#cde6f7', '#56B4E9', '#0072B2'], filtered: ['#d9f2ea', '#009E73'],
+		outline: 'rgba(0,0,0,0.85)', hurt: '#D55E00',
+		collectible: '#E69F00',
+		powerups: { filter: '#56B4E9', pump: '#D55E00', well: '#009E73', magnet: '#000000', shield: '#0072B2', slowmo: '#CC79A7', doubler: '#F0E442' },
+		shapes: true
+	},
+	protanopia: {
+		sky: '#eef6fb', tiles: '#d9e8f2',
+		drop: ['#cde6f7', '#56B4E9', '#0072B2'], filtered: ['#d9f2ea', '#009E73'],
+		outline: 'rgba(0,0,0,0.85)', hurt: '#CC79A7',
+		collectible: '#F0E442',
+		powerups: { filter: '#56B4E9', pump: '#E69F00', well: '#009E73', magnet: '#000000', shield: '#0072B2', slowmo: '#CC79A7', doubler: '#F0E442' },
+		shapes: true
+	}
 };
 
-/* Arrays for obstacles, collectibles, powerups */
-let obstacles = [];
-let collectibles = [];
-let powerups = [];
+let paletteName = PALETTES[localStorage.getItem('cdr-palette')] ? localStorage.getItem('cdr-palette') : 'standard';
+
+function palette() {
+	return PALETTES[paletteName];
+}
+
+function setPalette(name) {
+	if (!PALETTES[name]) return;
+	paletteName = name;
+	localStorage.setItem('cdr-palette', name);
+	applyDisplaySettings();
+}
+
+/* The CSS side (clouds, popups) reads these body attributes */
+function applyDisplaySettings() {
+	document.body.dataset.motion = motionLevel;
+	document.body.dataset.palette = paletteName;
+}
+applyDisplaySettings();
+
+if (motionSelect) {
+	motionSelect.value = motionLevel;
+	motionSelect.addEventListener('change', () => setMotionLevel(motionSelect.value));
+}
+if (paletteSelect) {
+	paletteSelect.value = paletteName;
+	paletteSelect.addEventListener('change', () => setPalette(paletteSelect.value));
+}
 
 /* Confetti particle array (temporary celebration) */
 let confettiParticles = [];
@@ -349,26 +861,26 @@ function initDecor() {
 
 	// assign a gentle horizontal speed and direction for parallax (px/sec)
 	for (const c of decorClouds) {
-		c.speed = rand(6, 18) * (0.6 + c.scale * 0.2); // scale affects apparent speed
-		c.dir = (Math.random() < 0.5) ? -1 : 1; // some clouds drift left, some right
+		c.speed = fxRand(6, 18) * (0.6 + c.scale * 0.2); // scale affects apparent speed
+		c.dir = (fxRng() < 0.5) ? -1 : 1; // some clouds drift left, some right
 	}
 
 	// Trees: position along the ground (x, baseY, size)
 	decorTrees = [];
 	const groundY = h - 32; // matches ground offset used elsewhere
 	for (let i = 0; i < 4; i++) {
-		const tx = Math.round((w / 4) * i + rand(20, w / 6));
-		const size = Math.round(rand(36, 58));
+		const tx = Math.round((w / 4) * i + fxRand(20, w / 6));
+		const size = Math.round(fxRand(36, 58));
 		// add a small sway phase so trees animate gently
-		decorTrees.push({ x: tx, baseY: groundY, size, phase: rand(0, Math.PI*2), swayAmp: rand(2,6) });
+		decorTrees.push({ x: tx, baseY: groundY, size, phase: fxRand(0, Math.PI*2), swayAmp: fxRand(2,6) });
 	}
 
 	// Grass: generate blades across the visible ground area
 	decorGrass = [];
 	const blades = Math.round(w / 28);
 	for (let i = 0; i < blades; i++) {
-		const gx = Math.round(i * (w / blades) + rand(-6, 6));
-		const gh = Math.round(rand(8, 18));
+		const gx = Math.round(i * (w / blades) + fxRand(-6, 6));
+		const gh = Math.round(fxRand(8, 18));
 		decorGrass.push({ x: gx, h: gh });
 	}
 }
@@ -382,26 +894,24 @@ const waterFacts = [
 	"Access to clean water can break the cycle of poverty."
 ];
 
-/* Clean Water Impact milestones: show an impact popup when score reaches milestones */
-const impactFacts = [
-	{ score: 100, text: "You’ve brought clean water to 1 person 💧", shown: false },
-	{ score: 300, text: "A whole family now has access to clean water! 🚰", shown: false },
-	{ score: 600, text: "Your drops could fill a new well! 🌍", shown: false }
-];
-
-function checkImpactFacts() {
-	// show each fact only once when score passes its threshold
-	for (const fact of impactFacts) {
-		if (!fact.shown && score >= fact.score) {
-			fact.shown = true;
-			// position popup slightly above player for visibility
-			createPopup(fact.text, player.x + 40, Math.max(20, player.y - 20), 'popup-impact');
-		}
-	}
+/* ==================
+   Seeded random numbers
+   ==================
+   Gameplay randomness lives in game-core.js (createRng seeded per run). Cosmetic
+   randomness (confetti, decor, water facts) uses a separate stream here so extra
+   particles never change what spawns next. */
+
+/* Pick a fresh seed. A `?seed=123` URL parameter forces a specific run (handy for debugging). */
+function chooseSeed() {
+	const fromUrl = Number(new URLSearchParams(window.location.search).get('seed'));
+	if (Number.isInteger(fromUrl) && fromUrl > 0) return fromUrl >>> 0;
+	return Math.floor(Math.random() * 4294967295) + 1;
 }
 
-/* Utility: random choice */
-function rand(min, max) { return Math.random() * (max - min) + min; }
+const fxRng = createRng(Math.floor(Math.random() * 4294967295) + 1); // cosmetic stream
+
+/* Utility: random number between min and max (cosmetic stream) */
+function fxRand(min, max) { return fxRng() * (max - min) + min; }
 
 /* ==============
    Canvas resizing
@@ -421,314 +931,334 @@ initDecor();
    Game methods
    ============ */
 
+/* Start a fresh simulation for a run with the given seed and difficulty.
+   Shared by live games (initGame) and replays, so both start from exactly the same state. */
+function resetRunState(seed, difficulty, level = null) {
+	running = true;
+	pendingInputs = { jump: false, jumpRelease: false, duck: false, duckRelease: false };
+	difficultyConfig = getDifficultySettings(difficulty);
+	// a campaign stage compares against its own best, endless against the leaderboard
+	highscore = level ? getStageProgress(level.id).best : getBestScore(difficulty);
+	game = createGame({ seed, difficulty, level });
+	resetCamera();
+	resetAdaptiveMusic();
+	// HUD, popups, audio and effects follow the simulation through its events
+	attachGameListeners(game);
+	renderHud(game.state);
+}
+
 /* Initialize or reset the game state */
 function initGame() {
 	// enable audio for the upcoming gameplay session if not muted
 	audioEnabled = !muted;
-	// Reset variables
-	running = true;
-	lastTime = performance.now();
-	spawnTimer = 0;
-	score = 0;
-	secondsCounter = 0;
-	// base parameters come from selected difficulty
-	difficultyConfig = getDifficultySettings(currentDifficulty);
-	gameSpeed = difficultyConfig.gameSpeed;
-	difficultyTimer = 0;
-	obstacles = [];
-	collectibles = [];
-	powerups = [];
-	activePower = null;
-	player.y = canvas.height - player.height - 32; // ground offset 32
-	player.vy = 0;
-	player.onGround = true;
-	player.filterActive = false;
-	// reset expression to happy when starting
-	player.isMad = false;
-
-	// Update HUD
-	scoreDisplay.textContent = `Score: ${score}`;
-	// set lives according to difficulty
-	livesDisplay.textContent = `Lives: ${difficultyConfig.lives}`;
-	highscoreEl && (highscoreEl.textContent = `High: ${highscore}`);
+	// choose this run's seed and reset the simulation
+	// (campaign stages use the difficulty named in their level file)
+	if (currentLevel) resetRunState(chooseSeed(), currentLevel.difficulty || 'Normal', currentLevel);
+	else resetRunState(chooseSeed(), currentDifficulty);
+
+	// start a fresh input recording for this run (editor test plays aren't recorded)
+	if (!testPlayReturn) startRecording();
 
 	// reposition decorations for current canvas size
 	initDecor();
 
+	// the game takes keyboard focus (its label lists the current keys); old announcements are dropped
+	clearAnnouncements();
+	updateCanvasLabel();
+	canvas.focus({ preventScroll: true });
+
 	// start background music (if available)
 	startBGM();
 
 	// Start loop
 	lastTime = performance.now();
+	simAccumulator = 0;
 	requestAnimationFrame(gameLoop);
 }
 
 /* Reset game to start screen (called after game over) */
 function resetGame() {
+	// log the reset and keep the partial run so it can still be replayed
+	if (running) {
+		recordInput('reset');
+		finishRecording();
+		// an abandoned run still counts toward lifetime stats
+		if (game) commitRunStats(game.state);
+	}
 	// stop the loop and clear state
 	running = false;
 	paused = false;
-	// clear objects and reset scores
-	obstacles = [];
-	collectibles = [];
-	powerups = [];
-	score = 0;
-	secondsCounter = 0;
-	scoreDisplay.textContent = `Score: ${score}`;
+	// drop the finished run and reset the HUD
+	game = null;
+	scoreDisplay.textContent = 'Score: 0';
 	livesDisplay.textContent = `Lives: ${difficultyConfig.lives}`;
 	// ensure pause button shows 'Pause' next time
 	if (pauseBtn) pauseBtn.textContent = 'Pause';
-	// show start UI
-	showStartScreen();
+	// show start UI (or go back to the level editor after a test play)
+	if (testPlayReturn) finishTestPlay();
+	else showStartScreen();
 }
 
-/* Spawn helpers (create simple rectangle objects) */
-function spawnObstacle() {
-	// Spawn obstacles shaped like barrels: slightly wider and taller range
-	const h = rand(36, 64);   // taller for barrel look
-	const w = rand(30, 46);   // wider for barrel look
-	const y = canvas.height - h - 32; // ground offset
-	// mark as barrel so drawGame knows to render barrel details
-	obstacles.push({ x: canvas.width + 10, y, w, h, barrel: true, color: '#1b1b1b' });
+/* ====================
+   Simulation listeners
+   ====================
+   The game core publishes typed events (GameEvents in game-core.js). Each concern
+   below listens on its own, so adding a new side effect means adding a listener
+   here instead of editing the simulation. attachGameListeners() wires them all
+   to a new run. */
+
+function attachGameListeners(g) {
+	attachHud(g);
+	attachPopups(g);
+	attachAnnouncer(g);
+	attachAudio(g);
+	attachVisuals(g);
+	attachCamera(g);
+	// replays are re-watches and editor test plays are practice: neither counts toward lifetime stats
+	if (!replay && !testPlayReturn) {
+		attachStats(g);
+		attachAchievements(g);
+	}
+	// game flow: show the game over screen when the last life is lost
+	// or a campaign stage reaches its goal
+	g.on(GameEvents.GAME_OVER, () => endGame());
+	g.on(GameEvents.LEVEL_COMPLETE, () => endGame());
+}
+
+/* HUD: score, lives and highscore text.
+   The "High" value only changes on screen during a run; the leaderboard is saved at game over. */
+function renderHud(state) {
+	if (difficultyDisplay) difficultyDisplay.textContent = state.level ? `Stage: ${state.level.name}` : `Diff: ${state.difficulty}`;
+	scoreDisplay.textContent = `Score: ${state.score}`;
+	livesDisplay.textContent = `Lives: ${state.lives}`;
+	highscoreEl && (highscoreEl.textContent = `High: ${highscore}`);
+	renderCombo(state.combo, state.comboMultiplier);
 }
 
-/* Spawn a charity: water jerry can that moves like a barrel but gives a random bonus on hit */
-function spawnJerry() {
-	const h = rand(34, 50);
-	const w = rand(28, 40);
-	const y = canvas.height - h - 32; // ground aligned
-	// mark as jerry so drawGame knows to render a jerry can and collision gives bonus
-	obstacles.push({ x: canvas.width + 10, y, w, h, jerry: true });
+/* Combo readout: only shown while a chain of 2 or more is running */
+function renderCombo(count, multiplier) {
+	if (!comboDisplay) return;
+	comboDisplay.classList.toggle('hidden', count < 2);
+	comboDisplay.textContent = `Combo ${count} · x${multiplier}`;
 }
 
-function spawnCollectible() {
-	const size = 18;
-	const y = canvas.height - rand(80, 140);
-	collectibles.push({ x: canvas.width + 10, y, w: size, h: size, color: '#4FCB53' });
+function attachHud(g) {
+	g.on(GameEvents.SCORE, (e) => {
+		scoreDisplay.textContent = `Score: ${e.score}`;
+		// beating the record shows live in the HUD
+		if (e.score > highscore) highscoreEl && (highscoreEl.textContent = `High: ${e.score}`);
+	});
+	g.on(GameEvents.LIVES, (e) => {
+		livesDisplay.textContent = `Lives: ${e.lives}`;
+	});
+	g.on(GameEvents.COMBO, (e) => renderCombo(e.count, e.multiplier));
+	g.on(GameEvents.COMBO_END, () => renderCombo(0, 1));
 }
 
-function spawnPowerup() {
-	const types = ['filter', 'pump', 'well'];
-	const type = types[Math.floor(Math.random()*types.length)];
-	const size = 20;
-	const y = canvas.height - rand(100, 160);
-	powerups.push({ x: canvas.width + 10, y, w: size, h: size, type });
+/* Popups: floating text over the canvas */
+function attachPopups(g) {
+	g.on(GameEvents.STOMP, (e) => createPopup(`+${e.points}`, e.x, e.y, 'popup-stomp'));
+	g.on(GameEvents.COLLECT, (e) => createPopup(`+${e.points}`, e.x, e.y, 'popup-collect'));
+	g.on(GameEvents.POWERUP_COLLECTED, (e) => {
+		// show popup naming the powerup (or +life for well)
+		if (e.power === 'well') createPopup('+1 Life', e.x, e.y, 'popup-powerup');
+		else createPopup(powerupLabels[e.power] || e.power, e.x, e.y, 'popup-powerup');
+	});
+	g.on(GameEvents.SHIELD_BLOCK, (e) => createPopup('Blocked!', e.x, e.y - 30, 'popup-powerup'));
+	// combo popups get bigger (tier 1-3) as the chain grows
+	g.on(GameEvents.COMBO, (e) => {
+		const tier = e.count >= 6 ? 3 : e.count >= 4 ? 2 : 1;
+		createPopup(`Combo x${e.multiplier}!`, e.x, e.y - 34, `popup-combo combo-tier-${tier}`);
+	});
+	g.on(GameEvents.JERRY, (e) => createPopup(e.label, e.x, e.y, 'popup-powerup'));
+	// show negative-life popup near player
+	g.on(GameEvents.LIFE_LOST, (e) => createPopup(`-1`, e.x, e.y, 'popup-hit'));
+	g.on(GameEvents.FELL, (e) => createPopup('Fell in!', e.x, e.y - 40, 'popup-hit'));
+	g.on(GameEvents.SPLASH, (e) => createPopup('Slowed!', e.x, e.y - 60, 'popup-dirty'));
+	g.on(GameEvents.VILLAGE, () => createPopup('Can full! Village ahead', canvas.width / 2, 60, 'popup-powerup'));
+	g.on(GameEvents.DELIVERY, (e) => {
+		createPopup(`+${e.points}`, e.x, e.y, 'popup-collect');
+		createPopup(e.text, canvas.width / 2, 80, 'popup-impact');
+	});
+	g.on(GameEvents.WATER, (e, state) => {
+		if (e.reason === 'spill') createPopup(`${e.delta} water`, state.player.x + 40, state.player.y - 30, 'popup-dirty');
+	});
+	g.on(GameEvents.MILESTONE, (e, state) => {
+		// position popup slightly above player for visibility
+		createPopup(e.text, state.player.x + 40, Math.max(20, state.player.y - 20), 'popup-impact');
+	});
 }
 
-/* AABB collision detection */
-function isColliding(a, b) {
-	return (
-		a.x < b.x + b.w &&
-		a.x + a.width > b.x &&
-		a.y < b.y + b.h &&
-		a.y + a.height > b.y
-	);
+/* Screen reader announcements.
+   Gameplay news is also written into two visually hidden aria-live regions in
+   index.html: #announcer (polite) and #announcer-urgent (assertive, for lost lives
+   and game over). A screen reader needs a moment to read each message, so they go
+   out at most one per ANNOUNCE_GAP; while waiting, a newer message with the same
+   `key` replaces the queued one and the oldest ordinary messages are dropped. */
+const ANNOUNCE_GAP = 1200;      // ms between messages
+const ANNOUNCE_QUEUE_MAX = 3;   // messages waiting at most
+const announcer = document.getElementById('announcer');
+const announcerUrgent = document.getElementById('announcer-urgent');
+const announceQueue = [];       // { text, urgent, key }
+let announceTimer = null;
+let lastAnnounceAt = -Infinity;
+
+function announce(text, options = {}) {
+	// options: { urgent, key }
+	if (!announcer) return;
+	// replays stay quiet while seeking or fast-forwarding (like their sounds)
+	if (replay && (replay.silent || replay.speed > 1)) return;
+	const message = { text, urgent: !!options.urgent, key: options.key || null };
+	if (message.key) {
+		const old = announceQueue.findIndex(m => m.key === message.key);
+		if (old !== -1) announceQueue.splice(old, 1);
+	}
+	// urgent messages jump ahead of ordinary ones
+	if (message.urgent) {
+		const firstOrdinary = announceQueue.findIndex(m => !m.urgent);
+		announceQueue.splice(firstOrdinary === -1 ? announceQueue.length : firstOrdinary, 0, message);
+	} else {
+		announceQueue.push(message);
+	}
+	while (announceQueue.length > ANNOUNCE_QUEUE_MAX) {
+		const oldest = announceQueue.findIndex(m => !m.urgent);
+		announceQueue.splice(oldest === -1 ? 0 : oldest, 1);
+	}
+	flushAnnouncements();
 }
 
-/* Update game state (physics, spawning, collisions) */
-function updateGame(dt) {
-	if (!running) return;
+/* Read out the next queued message, or wait until the gap has passed */
+function flushAnnouncements() {
+	if (announceTimer || !announceQueue.length) return;
+	const wait = lastAnnounceAt + ANNOUNCE_GAP - Date.now();
+	if (wait > 0) {
+		announceTimer = setTimeout(() => {
+			announceTimer = null;
+			flushAnnouncements();
+		}, wait);
+		return;
+	}
+	const message = announceQueue.shift();
+	const region = (message.urgent && announcerUrgent) ? announcerUrgent : announcer;
+	lastAnnounceAt = Date.now();
+	// empty the regions first so the same text twice in a row is still read out
+	announcer.textContent = '';
+	if (announcerUrgent) announcerUrgent.textContent = '';
+	setTimeout(() => { region.textContent = message.text; }, 50);
+	flushAnnouncements();
+}
 
-	// advance decorative animation clock
-	decorTime += dt;
+/* Drop anything still waiting (a new run starts with a clean slate) */
+function clearAnnouncements() {
+	announceQueue.length = 0;
+	clearTimeout(announceTimer);
+	announceTimer = null;
+}
 
-	// remember previous vertical position for stomp detection
-	player.prevY = player.y;
+function attachAnnouncer(g) {
+	g.on(GameEvents.LIFE_LOST, (e) => {
+		// the last one is covered by the game over summary
+		if (e.lives <= 0) return;
+		const left = e.lives === 1 ? '1 life left' : `${e.lives} lives left`;
+		announce(`Hit! ${left}.`, { urgent: true, key: 'lives' });
+	});
+	g.on(GameEvents.FELL, () => announce('Fell into a gap!', { urgent: true, key: 'lives' }));
+	g.on(GameEvents.POWERUP_START, (e) => {
+		const label = powerupLabels[e.power] || e.power;
+		if (e.power === 'well') announce(`${label}: extra life.`, { key: 'lives' });
+		else if (e.refreshed) announce(`${label} extended.`, { key: `power-${e.power}` });
+		else announce(`${label} on for ${Math.round(e.duration)} seconds.`, { key: `power-${e.power}` });
+	});
+	g.on(GameEvents.POWERUP_END, (e) => announce(`${powerupLabels[e.power] || e.power} wore off.`, { key: `power-${e.power}` }));
+	g.on(GameEvents.MILESTONE, (e) => announce(e.text, { key: 'milestone' }));
+}
 
-	// increase difficulty slowly
-	difficultyTimer += dt;
-	if (difficultyTimer > 10) {
-		// increase speed based on difficulty-configured bump amount
-		const bump = (difficultyConfig && difficultyConfig.bumpPer10s) ? difficultyConfig.bumpPer10s : 12;
-		gameSpeed += bump; // small bump every 10 seconds
-		difficultyTimer = 0;
+/* What the game over screen says, as one sentence list for the announcer */
+function gameOverSummary(state, stageResult) {
+	const parts = [state.completed ? 'Stage complete!' : 'Game over.', `Final score ${state.score}.`];
+	if (stageResult) {
+		parts.push(stageResult.completed
+			? `${stageResult.stars} of 3 stars${stageResult.newBest ? ', a new stage best' : ''}.`
+			: `Stage failed. Best ${stageResult.best}.`);
 	}
+	if (leaderboardEntry && !leaderboardEntry.classList.contains('hidden')) parts.push(leaderboardEntryMsg.textContent);
+	return parts.join(' ');
+}
+
+/* Audio: one sound cue per event */
+function attachAudio(g) {
+	g.on(GameEvents.JUMP, () => playSound('jump'));
+	g.on(GameEvents.STOMP, (e) => {
+		playSound('stomp');
+		// a chained stomp also rings the combo chime
+		if (e.combo >= 2) playSound('collect', { rate: comboPitch(e.combo) });
+	});
+	g.on(GameEvents.COLLECT, (e) => playSound('collect', { rate: comboPitch(e.combo) }));
+	g.on(GameEvents.POWERUP_COLLECTED, (e) => {
+		// each powerup has its own cue: the shared files at different pitches
+		const cue = powerupSounds[e.power] || { name: 'powerup' };
+		playSound(cue.name, { rate: cue.rate });
+	});
+	g.on(GameEvents.SHIELD_BLOCK, () => playSound('hit', { rate: 1.6, volume: 0.6 }));
+	g.on(GameEvents.JERRY, (e) => {
+		// a joyful sound: chime for points, fanfare for powerups/lives
+		if (e.bonus === 'score' || e.bonus === 'confetti') playSound('collect');
+		else playSound('powerup');
+	});
+	g.on(GameEvents.LIFE_LOST, () => playSound('hit'));
+	g.on(GameEvents.FELL, () => playSound('hit'));
+	g.on(GameEvents.DELIVERY, () => playSound('win', { volume: 0.7 }));
+	g.on(GameEvents.SPLASH, () => playSound('hit'));
+}
 
-	// Player physics: integrate velocity
-	player.vy += player.gravity * dt;
-	player.y += player.vy * dt;
+/* Playback rate for the combo chime: up a whole tone per link, topping out an octave up */
+function comboPitch(combo) {
+	const steps = Math.min(6, Math.max(0, (combo || 1) - 1));
+	return Math.pow(2, steps * 2 / 12);
+}
 
-	// Ground collision
-	const groundY = canvas.height - 32 - player.height;
-	if (player.y >= groundY) {
-		player.y = groundY;
-		player.vy = 0;
-		player.onGround = true;
-	} else {
-		player.onGround = false;
-	}
-
-	// Spawning logic (probabilities & cadence controlled by difficulty)
-	spawnTimer += dt;
-	// Use a configurable spawn interval so Easy/Hard can change how often items appear
-	const spawnInterval = (difficultyConfig && difficultyConfig.spawnInterval) ? difficultyConfig.spawnInterval : 0.6;
-	if (spawnTimer > spawnInterval) {
-		const obsProb = (difficultyConfig && difficultyConfig.spawnObstacleProb) ? difficultyConfig.spawnObstacleProb : 0.6;
-		const colProb = (difficultyConfig && difficultyConfig.spawnCollectibleProb) ? difficultyConfig.spawnCollectibleProb : 0.35;
-		const powProb = (difficultyConfig && difficultyConfig.spawnPowerupProb) ? difficultyConfig.spawnPowerupProb : 0.08;
-		if (Math.random() < obsProb) spawnObstacle();
-		if (Math.random() < colProb) spawnCollectible();
-		if (Math.random() < powProb) spawnPowerup();
-		// small chance to spawn a charity: water jerry can (rare)
-		const jerryProb = (difficultyConfig && difficultyConfig.jerryProb) ? difficultyConfig.jerryProb : 0.06;
-		if (Math.random() < jerryProb) spawnJerry();
-		spawnTimer = 0;
+/* Canvas particle effects */
+function attachVisuals(g) {
+	g.on(GameEvents.POWERUP_START, (e, state) => startPowerupVisual(e.power, state.player));
+	g.on(GameEvents.JERRY, (e) => {
+		if (e.bonus === 'confetti') createConfettiBurst(e.x, e.y);
+	});
+}
+
+/* Start the visual flourish for a powerup (aura, speed lines or confetti) */
+function startPowerupVisual(type, player) {
+	const cx = player.x + player.width / 2;
+	const cy = player.y + player.height / 2;
+	if (type === 'filter') {
+		// start the filter aura visual
+		filterAura.active = true;
+		filterAura.radius = player.width / 2;
+		filterAura.opacity = 1.0;
+	} else if (type === 'pump') {
+		// create a short burst of speed lines around player
+		createSpeedLinesBurst(cx, cy);
+	} else if (type === 'well' || type === 'doubler') {
+		// create a small confetti burst at the player's center
+		createConfettiBurst(cx, cy);
 	}
+}
+
+/* Update purely visual animations (decor, confetti, aura, speed lines) */
+function updateVisuals(dt) {
+	// advance decorative animation clock
+	decorTime += dt;
 
 	// Update cloud positions for gentle parallax and wrap around edges
 	if (decorClouds && decorClouds.length) {
 		for (const c of decorClouds) {
-			// move horizontally based on speed and direction
-			c.x += c.dir * c.speed * dt;
+			// move horizontally based on speed and direction (slower or still with less motion)
+			c.x += c.dir * c.speed * dt * motionAmount();
 			// wrap so clouds loop across the scene
 			if (c.x < -120) c.x = canvas.width + 120;
 			if (c.x > canvas.width + 120) c.x = -120;
 		}
 	}
 
-	// Move obstacles / collectibles / powerups from right to left
-	const moveBy = gameSpeed * dt;
-	obstacles.forEach(o => o.x -= moveBy);
-	collectibles.forEach(c => c.x -= moveBy);
-	powerups.forEach(p => p.x -= moveBy);
-
-	// Remove off-screen items
-	obstacles = obstacles.filter(o => o.x + o.w > -20);
-	collectibles = collectibles.filter(c => c.x + c.w > -20);
-	powerups = powerups.filter(p => p.x + p.w > -20);
-
-	// Collisions with obstacles (player is rectangle)
-	const playerRect = { x: player.x, y: player.y, width: player.width, height: player.height };
-	// Track lives via a variable and display
-	let lives = Number(livesDisplay.textContent.replace(/[^\d]/g, '')) || 3;
-
-	for (let i = obstacles.length - 1; i >= 0; i--) {
-		const o = obstacles[i];
-		const obsRect = { x: o.x, y: o.y, w: o.w, h: o.h };
-
-		if (isColliding(playerRect, obsRect)) {
-			// If it's a barrel, allow stomping: player must be falling and previous bottom was above obstacle top
-			const playerPrevBottom = player.prevY + player.height;
-			const obstacleTop = o.y;
-			const isFalling = player.vy > 0;
-
-			if (o.barrel && isFalling && playerPrevBottom <= obstacleTop + 6) {
-				// Stomp: remove barrel, award points, bounce player
-				// award stomp points scaled by difficulty
-				const stompPoints = Math.round(10 * ((difficultyConfig && difficultyConfig.scoreMultiplier) ? difficultyConfig.scoreMultiplier : 1));
-				// show popup at obstacle center
-				createPopup(`+${stompPoints}`, o.x + o.w/2, o.y + o.h/2, 'popup-stomp');
-				score += stompPoints;
-				scoreDisplay.textContent = `Score: ${score}`;
-				// check for impact milestones
-				checkImpactFacts();
-				// remove barrel after showing popup
-				obstacles.splice(i, 1);
-				// small bounce: set upward velocity (fraction of jumpPower)
-				player.vy = player.jumpPower * 0.6;
-				player.onGround = false;
-	                // play stomp SFX
-	                playSound('stomp');
-			} else {
-				// If it's a jerry can, award a random bonus instead of damaging the player
-                if (o.jerry) {
-					// remove jerry, award bonus
-					obstacles.splice(i, 1);
-					const bonus = applyJerryBonus();
-					// show popup near player
-					createPopup(bonus.label, player.x + player.width/2, player.y + player.height/2, 'popup-powerup');
-				// play a joyful sound for jerry bonus (powerup or collect)
-				if (bonus.key === 'score' || bonus.key === 'confetti') playSound('collect');
-				else playSound('powerup');
-					continue; // skip life loss logic
-				}
-
-				// existing behavior: filter power or take a life
-				if (activePower && activePower.type === 'filter') {
-					obstacles.splice(i, 1);
-				} else {
-					obstacles.splice(i, 1);
-					lives--;
-					livesDisplay.textContent = `Lives: ${lives}`;
-					// show negative-life popup near player
-					createPopup(`-1`, player.x + player.width/2, player.y + player.height/2, 'popup-hit');
-					// play hit sound
-					playSound('hit');
-					// End game when lives reach 0
-					if (lives <= 0) {
-						endGame();
-						return;
-					}
-				}
-			}
-		}
-	}
-
-	// Collectibles collision -> +10 points
-	for (let i = collectibles.length - 1; i >= 0; i--) {
-		const c = collectibles[i];
-		if (isColliding(playerRect, { x: c.x, y: c.y, w: c.w, h: c.h })) {
-			const collectPoints = Math.round(10 * ((difficultyConfig && difficultyConfig.scoreMultiplier) ? difficultyConfig.scoreMultiplier : 1));
-			// show popup at collectible center
-			createPopup(`+${collectPoints}`, c.x + c.w/2, c.y + c.h/2, 'popup-collect');
-			collectibles.splice(i, 1);
-			score += collectPoints;
-			scoreDisplay.textContent = `Score: ${score}`;
-			// check for impact milestones
-			checkImpactFacts();
-			// play collectible chime
-			playSound('collect');
-		}
-	}
-
-	// Powerup collision
-	for (let i = powerups.length - 1; i >= 0; i--) {
-		const p = powerups[i];
-		if (isColliding(playerRect, { x: p.x, y: p.y, w: p.w, h: p.h })) {
-			// show popup naming the powerup (or +life for well)
-			if (p.type === 'well') createPopup('+1 Life', p.x + p.w/2, p.y + p.h/2, 'popup-powerup');
-			else createPopup(p.type.charAt(0).toUpperCase() + p.type.slice(1), p.x + p.w/2, p.y + p.h/2, 'popup-powerup');
-			powerups.splice(i, 1);
-			// play a powerup sound
-			playSound('powerup');
-			activatePowerup(p.type);
-		}
-	}
-
-	// Powerup active timer decrement
-	if (activePower) {
-		activePower.timer -= dt;
-		if (activePower.timer <= 0) {
-			// deactivate effects
-			if (activePower.type === 'pump') {
-				// restore previous gameSpeed if stored, otherwise fallback
-				if (activePower.prevGameSpeed !== undefined) gameSpeed = activePower.prevGameSpeed;
-				else gameSpeed = Math.max(140, gameSpeed - 60);
-			}
-			activePower = null;
-			player.filterActive = false;
-		}
-	}
-
-	// Score increments by time survived (1 point per second)
-	// award time-based score using difficulty multiplier
-	secondsCounter += dt;
-	if (secondsCounter >= 1) {
-		const mult = (difficultyConfig && difficultyConfig.scoreMultiplier) ? difficultyConfig.scoreMultiplier : 1;
-		score += Math.floor(secondsCounter * mult); // add whole seconds scaled by multiplier
-		scoreDisplay.textContent = `Score: ${score}`;
-		secondsCounter = 0;
-		// check for impact milestones when time-based score increases
-		checkImpactFacts();
-	}
-
-	// Update highscore live display
-	if (score > highscore) {
-		highscore = score;
-		localStorage.setItem('cdr-highscore', `${highscore}`);
-		highscoreEl && (highscoreEl.textContent = `High: ${highscore}`);
-	}
-
 	// Update confetti particles
 	if (confettiParticles.length > 0) {
 		// gravity pixels/sec^2
@@ -747,7 +1277,7 @@ function updateGame(dt) {
 
 	// Update filter aura animation (expand + fade)
 	if (filterAura.active) {
-		filterAura.radius += 100 * dt;      // expand speed (px/sec)
+		filterAura.radius += 100 * motionAmount() * dt; // expand speed (px/sec); it only fades with motion off
 		filterAura.opacity -= 1.2 * dt;    // fade speed (per second)
 		if (filterAura.opacity <= 0) {
 			filterAura.active = false;
@@ -767,19 +1297,157 @@ function updateGame(dt) {
 	}
 }
 
-/* Draw the game (background scrolling, player, obstacles, items) */
-let bgOffset = 0;
-function drawGame() {
+/* ==============
+   Camera effects
+   ==============
+   A small camera layer around drawGame(): screen shake, a zoom pulse, hit-stop
+   (the simulation pauses for a moment while drawing goes on) and the slow-motion
+   finale played during endGame()'s pause. Camera timers run on real time, not
+   simulation time, so they never change how a run plays out (replays stay exact).
+   With reduced motion on, shake and zoom are skipped; hit-stop and the finale's
+   slowed particles stay since they hold the picture still rather than move it. */
+const FINALE_TIME = 0.6; // seconds, matches the pause before the game over screen
+const camera = {
+	shakeTime: 0,      // seconds of shake left
+	shakeDuration: 0,
+	shakeStrength: 0,  // px at the start of the shake (it fades out)
+	zoomTime: 0,       // seconds of zoom pulse left
+	zoomDuration: 0,
+	zoomAmount: 0,     // extra scale at the peak of the pulse
+	hitStop: 0,        // seconds the simulation stays frozen
+	finale: 0          // seconds of the game over finale left
+};
+
+function resetCamera() {
+	camera.shakeTime = camera.zoomTime = camera.hitStop = camera.finale = 0;
+}
+
+// quiet replays (seeking / fast-forward) skip camera effects like they skip popups
+function cameraQuiet() {
+	return replay && (replay.silent || replay.speed > 1);
+}
+
+function shakeCamera(strength, duration) {
+	if (reducedMotion || cameraQuiet()) return;
+	// a stronger shake wins over a weaker one still running
+	if (camera.shakeTime > 0 && camera.shakeStrength * camera.shakeTime / camera.shakeDuration > strength) return;
+	camera.shakeStrength = strength;
+	camera.shakeDuration = camera.shakeTime = duration;
+}
+
+function zoomPulse(amount, duration) {
+	if (reducedMotion || cameraQuiet()) return;
+	camera.zoomAmount = amount;
+	camera.zoomDuration = camera.zoomTime = duration;
+}
+
+function hitStop(duration) {
+	if (cameraQuiet()) return;
+	camera.hitStop = Math.max(camera.hitStop, duration);
+}
+
+/* Count the camera timers down (real seconds) */
+function updateCamera(dt) {
+	camera.shakeTime = Math.max(0, camera.shakeTime - dt);
+	camera.zoomTime = Math.max(0, camera.zoomTime - dt);
+}
+
+/* Shake offset, zoom and the point to zoom around, applied to ctx before drawGame() */
+function applyCamera(ctx) {
+	let zoom = 1;
+	let dx = 0, dy = 0;
+	if (camera.shakeTime > 0) {
+		const strength = camera.shakeStrength * (camera.shakeTime / camera.shakeDuration);
+		dx = (fxRng() * 2 - 1) * strength;
+		dy = (fxRng() * 2 - 1) * strength;
+		// zoom in just enough that the shaken edges never show
+		zoom += (strength * 2) / canvas.height;
+	}
+	if (camera.zoomTime > 0) {
+		// up and back down: a sine bump over the pulse
+		zoom += camera.zoomAmount * Math.sin(Math.PI * (1 - camera.zoomTime / camera.zoomDuration));
+	}
+	if (camera.finale > 0 && !reducedMotion) {
+		// ease in toward the player over the finale
+		const p = 1 - camera.finale / FINALE_TIME;
+		zoom += 0.12 * (1 - (1 - p) * (1 - p));
+	}
+	if (zoom === 1 && dx === 0 && dy === 0) return;
+	// zoom around the player so they stay put on screen
+	const player = game.state.player;
+	const fx = player.x + player.width / 2;
+	const fy = player.y + player.height / 2;
+	ctx.translate(fx + dx, fy + dy);
+	ctx.scale(zoom, zoom);
+	ctx.translate(-fx, -fy);
+}
+
+/* Draw one frame: the world through the camera, then the HUD overlay on top (not shaken) */
+function renderFrame(alpha) {
+	ctx.clearRect(0, 0, canvas.width, canvas.height);
+	ctx.save();
+	applyCamera(ctx);
+	drawGame(alpha);
+	ctx.restore();
+	drawHudOverlay();
+}
+
+/* Game over finale: the last frame holds while particles drift in slow motion,
+   the camera eases in and the scene dims, until endGame() shows the game over screen */
+function startFinale() {
+	camera.finale = FINALE_TIME;
+	let last = performance.now();
+	const tick = (timestamp) => {
+		if (running || !game || camera.finale <= 0) return;
+		const dt = Math.min(0.05, Math.max(0, (timestamp - last) / 1000));
+		last = timestamp;
+		camera.finale = Math.max(0, camera.finale - dt);
+		updateVisuals(dt * 0.25);
+		updateCamera(dt);
+		renderFrame(1);
+		requestAnimationFrame(tick);
+	};
+	requestAnimationFrame(tick);
+}
+
+/* Camera reactions to gameplay events */
+function attachCamera(g) {
+	g.on(GameEvents.LIFE_LOST, () => {
+		shakeCamera(8, 0.35);
+		hitStop(0.08);
+	});
+	g.on(GameEvents.STOMP, () => shakeCamera(3, 0.12));
+	g.on(GameEvents.SHIELD_BLOCK, () => shakeCamera(4, 0.15));
+	g.on(GameEvents.FELL, () => shakeCamera(6, 0.3));
+	g.on(GameEvents.POWERUP_COLLECTED, () => zoomPulse(0.04, 0.3));
+}
+
+/* Utility: blend from a to b (t = 0 gives a, t = 1 gives b) */
+function lerp(a, b, t) { return a + (b - a) * t; }
+
+/* Draw the game (background scrolling, player, obstacles, items).
+   alpha (0..1) is how far we are between the last two simulation steps; positions
+   are blended between their previous and current values so motion stays smooth
+   even though the simulation runs in fixed 1/120s steps. */
+function drawGame(alpha = 1) {
+	// everything gameplay-related is read from the current run's state
+	const { player, obstacles, gaps, collectibles, powerups } = game.state;
+	// interpolated x position for a moving object
+	const ix = (o) => lerp(o.prevX !== undefined ? o.prevX : o.x, o.x, alpha);
+	// interpolated player top (visual only — collisions use the simulated value)
+	const playerY = lerp(player.prevY, player.y, alpha);
+
 	// Clear canvas
 	ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-	// Draw simple scrolling background: two rectangles moving left
-	bgOffset = (bgOffset + (gameSpeed * 0.2) / 60) % canvas.width;
-	ctx.fillStyle = '#e6f8ff';
+	// Draw simple scrolling background: ground tiles move at 20% of the distance scrolled
+	const bgOffset = (lerp(game.state.prevDistance, game.state.distance, alpha) * 0.2) % canvas.width;
+	const pal = palette();
+	ctx.fillStyle = pal.sky;
 	ctx.fillRect(0, 0, canvas.width, canvas.height);
 
 	// Simple ground pattern
-	ctx.fillStyle = '#d4f0ff';
+	ctx.fillStyle = pal.tiles;
 	for (let x = -bgOffset; x < canvas.width; x += 120) {
 		ctx.fillRect(x, canvas.height - 32, 60, 32);
 	}
@@ -810,7 +1478,7 @@ function drawGame() {
 		// Trees (simple trunk + round canopy)
 		for (const t of decorTrees) {
 			// compute a gentle sway offset using decorTime and per-tree phase/amplitude
-			const sway = Math.sin(decorTime + (t.phase || 0)) * (t.swayAmp || 3);
+			const sway = Math.sin(decorTime + (t.phase || 0)) * (t.swayAmp || 3) * motionAmount();
 			const tx = t.x + sway;
 			const baseY = t.baseY;
 			const size = t.size;
@@ -849,25 +1517,44 @@ function drawGame() {
 	// call drawDecor to place trees/clouds/grass into the scene
 	drawDecor();
 
+	// Gaps cut through the ground strip (and any grass drawn over it)
+	gaps.forEach(g => drawGap(ctx, ix(g), g.w, canvas.height - GROUND_OFFSET));
+
+	// Campaign: a finish flag that reaches the player exactly when the goal distance is scrolled
+	if (game.state.level) {
+		const distance = lerp(game.state.prevDistance, game.state.distance, alpha);
+		const fx = player.homeX + player.width + (game.state.level.goal.distance - distance);
+		if (fx < canvas.width + 20) drawFinishFlag(ctx, fx, canvas.height - 32);
+	}
+
+	// Village checkpoint where a full jerry can is delivered
+	if (game.state.village) drawVillage(ctx, ix(game.state.village), game.state.village, canvas.height - GROUND_OFFSET);
+
 	// Draw player as a teardrop water icon (bigger and visually clear)
 	ctx.save();
 
 	// small bob animation for friendly feel (visual only — doesn't affect collision)
 	const t = performance.now() / 180; // time factor
-	const bob = Math.sin(t) * (player.onGround ? 2 : 6); // gentle on ground, bigger in air
+	// gentle on ground, bigger in air, none while sliding
+	const bob = player.ducking ? 0 : Math.sin(t) * (player.onGround ? 2 : 6) * motionAmount();
 
 	// slight visual "pop" when jumping (scale) — apply to drawing transform
 	if (!player.onGround) {
-		ctx.translate(player.x + player.width/2, player.y + player.height/2 + bob);
+		ctx.translate(player.x + player.width/2, playerY + player.height/2 + bob);
 		ctx.scale(1.02, 1.02);
-		ctx.translate(-(player.x + player.width/2), -(player.y + player.height/2 + bob));
+		ctx.translate(-(player.x + player.width/2), -(playerY + player.height/2 + bob));
 	}
 
-	const px = player.x, py = player.y + bob, pw = player.width, ph = player.height;
+	const px = player.x, py = playerY + bob, pw = player.width, ph = player.height;
+	// blink while invulnerable after a hit (every other tenth of a second is faded);
+	// with reduced motion the player stays faded instead of flashing
+	const hurt = player.invulnTimer > 0;
+	if (hurt && reducedMotion) ctx.globalAlpha = 0.55;
+	else if (hurt && Math.floor(player.invulnTimer * 10) % 2 === 0) ctx.globalAlpha = 0.35;
 	// drawDrop now handles path + fill (including gradient) and stroke outline
-	drawDrop(ctx, px, py, pw, ph, player.filterActive);
+	drawDrop(ctx, px, py, pw, ph, player.filterActive, player.ducking, player.dirtyTimer > 0, hurt);
 	// draw friendly face (eyes, mouth), rosy cheeks, rounded limbs
-	drawFaceAndLimbs(ctx, px, py, pw, ph, player.isMad);
+	drawFaceAndLimbs(ctx, px, py, pw, ph, player.isMad, player.ducking);
 	ctx.restore();
 
 	// Draw speed lines (pump visual) right after player so they appear around the player
@@ -891,7 +1578,7 @@ function drawGame() {
 		ctx.beginPath();
 		ctx.arc(
 			player.x + player.width / 2,
-			player.y + player.height / 2,
+			playerY + player.height / 2,
 			filterAura.radius,
 			0,
 			Math.PI * 2
@@ -900,136 +1587,518 @@ function drawGame() {
 		ctx.restore();
 	}
 
-	// Draw obstacles (barrels)
-	obstacles.forEach(o => {
-		if (o.barrel) {
-			const bx = o.x, by = o.y, bw = o.w, bh = o.h;
+	// Shield bubble around the player while the shield is up
+	if (game.state.activePowers.shield) {
+		drawShieldBubble(ctx, player.x + player.width / 2, playerY + player.height / 2, Math.max(player.width, player.height) * 0.75);
+	}
 
-			// main cylindrical body (slightly inset top/bottom for better shape)
-			ctx.fillStyle = '#1b1b1b';
-			roundRect(ctx, bx, by + 6, bw, bh - 12, 6);
-			ctx.fill();
+	// Draw obstacles (barrels, jerry cans), collectibles (clean drops) and powerups
+	obstacles.forEach(o => drawObstacle(ctx, o, ix(o)));
+	collectibles.forEach(c => drawCollectible(ctx, c, ix(c)));
+	powerups.forEach(p => drawPowerup(ctx, p, ix(p)));
 
-			// top rim (ellipse)
-			ctx.fillStyle = '#0f0f0f';
-			ctx.beginPath();
-			ctx.ellipse(bx + bw/2, by + 6, bw/2, Math.max(6, bw * 0.12), 0, 0, Math.PI * 2);
-			ctx.fill();
+	// Draw confetti particles (render above player for visibility)
+	if (confettiParticles.length > 0) {
+		for (let p of confettiParticles) {
+			ctx.save();
+			ctx.translate(p.x, p.y);
+			ctx.rotate(p.angle);
+			ctx.fillStyle = p.color;
+			// draw centered rectangle
+			ctx.fillRect(-p.width / 2, -p.height / 2, p.width, p.height);
+			ctx.restore();
+		}
+	}
 
-			// subtle highlight on front
-			ctx.fillStyle = 'rgba(255,255,255,0.05)';
-			ctx.beginPath();
-			ctx.ellipse(bx + bw*0.35, by + bh*0.45, bw*0.12, bh*0.18, -0.25, 0, Math.PI*2);
-			ctx.fill();
+	// slow-time tints the whole scene a cool blue
+	if (game.state.activePowers.slowmo) {
+		ctx.fillStyle = 'rgba(46,157,247,0.12)';
+		ctx.fillRect(0, 0, canvas.width, canvas.height);
+	}
 
-			// metal bands across barrel
-			ctx.fillStyle = '#2f2f2f';
-			const bandCount = 2;
-			for (let i = 1; i <= bandCount; i++) {
-				const bandY = by + 8 + ( (bh - 16) * i / (bandCount + 1) );
-				ctx.fillRect(bx, bandY, bw, Math.max(3, bw * 0.04));
-			}
+}
 
-			// bottom shadow ellipse
-			ctx.fillStyle = 'rgba(0,0,0,0.22)';
-			ctx.beginPath();
-			ctx.ellipse(bx + bw/2, by + bh - 6, bw/2 * 0.98, Math.max(6, bw * 0.10), 0, 0, Math.PI * 2);
-			ctx.fill();
+/* HUD drawn on the canvas above the world (outside the camera, so it never shakes):
+   running powerups, the water meter, and the dimming during the game over finale */
+function drawHudOverlay() {
+	if (camera.finale > 0) {
+		ctx.fillStyle = `rgba(11,41,72,${0.3 * (1 - camera.finale / FINALE_TIME)})`;
+		ctx.fillRect(0, 0, canvas.width, canvas.height);
+	}
+	drawPowerupTimers(ctx, game.state.activePowers);
+	drawWaterMeter(ctx, game.state.water, game.state.config.waterCapacity);
+}
+
+/* ==============
+   Entity drawing
+   ==============
+   One helper per kind of entity, shared by drawGame() and the level editor.
+   `x` is where to draw the entity horizontally (drawGame passes the interpolated
+   position); y and size come from the entity itself. */
+
+/* Barrels, jerry cans and any plain obstacle */
+function drawObstacle(ctx, o, x) {
+	if (o.barrel && o.rolling) drawRollingBarrel(ctx, x, o.y, o.w, o.h);
+	else if (o.barrel) drawBarrel(ctx, x, o.y, o.w, o.h);
+	else if (o.puddle) drawPuddle(ctx, x, o.y, o.w, o.h);
+	else if (o.jerry) drawJerryCan(ctx, x, o.y, o.w, o.h);
+	else if (o.pipe) drawPipe(ctx, x, o.y, o.w, o.h);
+	else {
+		ctx.fillStyle = o.color;
+		roundRect(ctx, x, o.y, o.w, o.h, 4);
+		ctx.fill();
+	}
+}
+
+/* Polluted barrel: dark cylinder with rim, bands and a shadow */
+function drawBarrel(ctx, bx, by, bw, bh) {
+	// main cylindrical body (slightly inset top/bottom for better shape)
+	ctx.fillStyle = '#1b1b1b';
+	roundRect(ctx, bx, by + 6, bw, bh - 12, 6);
+	ctx.fill();
+
+	// top rim (ellipse)
+	ctx.fillStyle = '#0f0f0f';
+	ctx.beginPath();
+	ctx.ellipse(bx + bw/2, by + 6, bw/2, Math.max(6, bw * 0.12), 0, 0, Math.PI * 2);
+	ctx.fill();
+
+	// subtle highlight on front
+	ctx.fillStyle = 'rgba(255,255,255,0.05)';
+	ctx.beginPath();
+	ctx.ellipse(bx + bw*0.35, by + bh*0.45, bw*0.12, bh*0.18, -0.25, 0, Math.PI*2);
+	ctx.fill();
+
+	// metal bands across barrel
+	ctx.fillStyle = '#2f2f2f';
+	const bandCount = 2;
+	for (let i = 1; i <= bandCount; i++) {
+		const bandY = by + 8 + ( (bh - 16) * i / (bandCount + 1) );
+		ctx.fillRect(bx, bandY, bw, Math.max(3, bw * 0.04));
+	}
+
+	// bottom shadow ellipse
+	ctx.fillStyle = 'rgba(0,0,0,0.22)';
+	ctx.beginPath();
+	ctx.ellipse(bx + bw/2, by + bh - 6, bw/2 * 0.98, Math.max(6, bw * 0.10), 0, 0, Math.PI * 2);
+	ctx.fill();
+}
+
+/* Barrel on its side, rolling: the lid and bands turn as it moves left */
+function drawRollingBarrel(ctx, bx, by, bw, bh) {
+	const r = Math.min(bw, bh) / 2;
+	const cx = bx + bw / 2, cy = by + bh / 2;
+	// rolling left: the angle follows the distance travelled (x)
+	const angle = -bx / r;
+
+	// lid
+	ctx.fillStyle = '#1b1b1b';
+	ctx.beginPath();
+	ctx.arc(cx, cy, r, 0, Math.PI * 2);
+	ctx.fill();
+	ctx.strokeStyle = '#2f2f2f';
+	ctx.lineWidth = Math.max(3, r * 0.18);
+	ctx.beginPath();
+	ctx.arc(cx, cy, r * 0.72, 0, Math.PI * 2);
+	ctx.stroke();
+
+	// spokes show the rotation
+	ctx.save();
+	ctx.translate(cx, cy);
+	ctx.rotate(angle);
+	ctx.strokeStyle = 'rgba(255,255,255,0.18)';
+	ctx.lineWidth = 2;
+	ctx.beginPath();
+	ctx.moveTo(-r * 0.6, 0);
+	ctx.lineTo(r * 0.6, 0);
+	ctx.moveTo(0, -r * 0.6);
+	ctx.lineTo(0, r * 0.6);
+	ctx.stroke();
+	ctx.restore();
+
+	// bottom shadow
+	ctx.fillStyle = 'rgba(0,0,0,0.22)';
+	ctx.beginPath();
+	ctx.ellipse(cx, by + bh, r * 0.9, Math.max(3, r * 0.15), 0, 0, Math.PI * 2);
+	ctx.fill();
+}
+
+/* Polluted puddle lying on the ground */
+function drawPuddle(ctx, px, py, pw, ph) {
+	ctx.fillStyle = 'rgba(110,90,40,0.85)';
+	ctx.beginPath();
+	ctx.ellipse(px + pw / 2, py + ph / 2, pw / 2, ph / 2 + 2, 0, 0, Math.PI * 2);
+	ctx.fill();
+	// oily sheen
+	ctx.fillStyle = 'rgba(180,140,255,0.25)';
+	ctx.beginPath();
+	ctx.ellipse(px + pw * 0.4, py + ph * 0.4, pw * 0.2, ph * 0.25, 0, 0, Math.PI * 2);
+	ctx.fill();
+}
+
+/* Gap in the ground: a dark pit cut through the ground strip */
+function drawGap(ctx, gx, gw, groundY) {
+	const grad = ctx.createLinearGradient(0, groundY, 0, groundY + GROUND_OFFSET);
+	grad.addColorStop(0, '#0b2948');
+	grad.addColorStop(1, '#04121f');
+	ctx.fillStyle = grad;
+	ctx.fillRect(gx, groundY, gw, GROUND_OFFSET);
+	// crumbly edges
+	ctx.fillStyle = '#8b5a3c';
+	ctx.fillRect(gx - 3, groundY, 3, GROUND_OFFSET);
+	ctx.fillRect(gx + gw, groundY, 3, GROUND_OFFSET);
+}
+
+/* Overhead pipe hanging from the top of the screen, dripping dirty water at its mouth */
+function drawPipe(ctx, px, py, pw, ph) {
+	// body with a rounded metal shading
+	const grad = ctx.createLinearGradient(px, 0, px + pw, 0);
+	grad.addColorStop(0, '#56636f');
+	grad.addColorStop(0.35, '#8d9aa6');
+	grad.addColorStop(1, '#4a5560');
+	ctx.fillStyle = grad;
+	ctx.fillRect(px, py, pw, ph - 10);
+
+	// joints every 60px so it reads as a pipe
+	ctx.fillStyle = 'rgba(0,0,0,0.18)';
+	for (let jy = py + 40; jy < py + ph - 20; jy += 60) ctx.fillRect(px, jy, pw, 4);
+
+	// wider flange at the mouth
+	ctx.fillStyle = '#3d4650';
+	roundRect(ctx, px - 5, py + ph - 14, pw + 10, 14, 4);
+	ctx.fill();
+
+	// yellow and black warning stripe so the danger height is easy to read
+	ctx.save();
+	ctx.beginPath();
+	ctx.rect(px - 5, py + ph - 4, pw + 10, 4);
+	ctx.clip();
+	for (let sx = px - 5; sx < px + pw + 5; sx += 8) {
+		ctx.fillStyle = Math.floor((sx - px) / 8) % 2 === 0 ? '#FFB703' : '#1b1b1b';
+		ctx.fillRect(sx, py + ph - 4, 8, 4);
+	}
+	ctx.restore();
+
+	// murky drip
+	ctx.fillStyle = 'rgba(110,90,40,0.75)';
+	ctx.beginPath();
+	ctx.ellipse(px + pw * 0.5, py + ph + 4, 3, 5, 0, 0, Math.PI * 2);
+	ctx.fill();
+}
+
+/* charity: water jerry can — friendly, cartoon style */
+function drawJerryCan(ctx, jx, jy, jw, jh) {
+	// prefer using the real image if it loaded
+	if (jerryImage && jerryImage.complete && jerryImage.naturalWidth) {
+		// draw while preserving aspect ratio so the can isn't squeezed
+		const imgW = jerryImage.naturalWidth;
+		const imgH = jerryImage.naturalHeight;
+		const imgAspect = imgW / imgH;
+		let drawW = jw;
+		let drawH = jh;
+		if (jw / jh > imgAspect) {
+			// available area is wider than image aspect -> limit by height
+			drawH = jh;
+			drawW = drawH * imgAspect;
 		} else {
-			// ...existing code for non-barrel obstacles...
-			if (o.jerry) {
-				// draw charity: water jerry can — friendly, cartoon style
-				const jx = o.x, jy = o.y, jw = o.w, jh = o.h;
-				// prefer using the real image if it loaded
-				if (jerryImage && jerryImage.complete && jerryImage.naturalWidth) {
-					// draw while preserving aspect ratio so the can isn't squeezed
-					const imgW = jerryImage.naturalWidth;
-					const imgH = jerryImage.naturalHeight;
-					const imgAspect = imgW / imgH;
-					let drawW = jw;
-					let drawH = jh;
-					if (jw / jh > imgAspect) {
-						// available area is wider than image aspect -> limit by height
-						drawH = jh;
-						drawW = drawH * imgAspect;
-					} else {
-						// limit by width
-						drawW = jw;
-						drawH = drawW / imgAspect;
-					}
-					const drawX = jx + (jw - drawW) / 2;
-					const drawY = jy + (jh - drawH) / 2;
-					ctx.drawImage(jerryImage, drawX, drawY, drawW, drawH);
-				} else {
-					// canvas fallback: body
-					ctx.save();
-					ctx.fillStyle = '#FFD54F'; // warm yellow accent for brand can
-					roundRect(ctx, jx, jy, jw, jh, 6);
-					ctx.fill();
-					// handle (top-right)
-					ctx.fillStyle = '#e6bf3a';
-					ctx.beginPath();
-					ctx.ellipse(jx + jw - 6, jy + 6, 8, 6, 0, 0, Math.PI*2);
-					ctx.fill();
-					// drop logo (blue) on can
-					ctx.fillStyle = '#2E9DF7';
-					ctx.beginPath();
-					ctx.moveTo(jx + jw/2, jy + jh*0.25);
-					ctx.quadraticCurveTo(jx + jw*0.68, jy + jh*0.22, jx + jw*0.60, jy + jh*0.45);
-					ctx.quadraticCurveTo(jx + jw/2, jy + jh*0.66, jx + jw*0.40, jy + jh*0.45);
-					ctx.quadraticCurveTo(jx + jw*0.32, jy + jh*0.22, jx + jw/2, jy + jh*0.25);
-					ctx.fill();
-					ctx.restore();
-				}
-			} else {
-				ctx.fillStyle = o.color;
-				roundRect(ctx, o.x, o.y, o.w, o.h, 4);
-				ctx.fill();
-			}
+			// limit by width
+			drawW = jw;
+			drawH = drawW / imgAspect;
 		}
-	});
+		const drawX = jx + (jw - drawW) / 2;
+		const drawY = jy + (jh - drawH) / 2;
+		ctx.drawImage(jerryImage, drawX, drawY, drawW, drawH);
+	} else {
+		// canvas fallback: body
+		ctx.save();
+		ctx.fillStyle = '#FFD54F'; // warm yellow accent for brand can
+		roundRect(ctx, jx, jy, jw, jh, 6);
+		ctx.fill();
+		// handle (top-right)
+		ctx.fillStyle = '#e6bf3a';
+		ctx.beginPath();
+		ctx.ellipse(jx + jw - 6, jy + 6, 8, 6, 0, 0, Math.PI*2);
+		ctx.fill();
+		// drop logo (blue) on can
+		ctx.fillStyle = '#2E9DF7';
+		ctx.beginPath();
+		ctx.moveTo(jx + jw/2, jy + jh*0.25);
+		ctx.quadraticCurveTo(jx + jw*0.68, jy + jh*0.22, jx + jw*0.60, jy + jh*0.45);
+		ctx.quadraticCurveTo(jx + jw/2, jy + jh*0.66, jx + jw*0.40, jy + jh*0.45);
+		ctx.quadraticCurveTo(jx + jw*0.32, jy + jh*0.22, jx + jw/2, jy + jh*0.25);
+		ctx.fill();
+		ctx.restore();
+	}
+}
+
+/* Clean drop collectible */
+function drawCollectible(ctx, c, x) {
+	const pal = palette();
+	const cx = x + c.w / 2, cy = c.y + c.h / 2;
+	ctx.fillStyle = pal.shapes ? pal.collectible : (c.color || pal.collectible);
+	ctx.beginPath();
+	ctx.ellipse(cx, cy, c.w/2, c.h/2, 0, 0, Math.PI*2);
+	ctx.fill();
+	if (pal.shapes) {
+		// shape cue: outlined, with a plus-shaped sparkle that nothing else has
+		ctx.lineWidth = 2;
+		ctx.strokeStyle = pal.outline;
+		ctx.stroke();
+		ctx.lineWidth = Math.max(1.5, c.w * 0.12);
+		ctx.beginPath();
+		ctx.moveTo(cx - c.w * 0.25, cy);
+		ctx.lineTo(cx + c.w * 0.25, cy);
+		ctx.moveTo(cx, cy - c.h * 0.25);
+		ctx.lineTo(cx, cy + c.h * 0.25);
+		ctx.stroke();
+	}
+}
+
+/* Powerup icon: the image for filter / pump / well, drawn art for the others.
+   With shape cues on, the icon sits on an outlined badge in its own shape. */
+function drawPowerup(ctx, p, x) {
+	// use the loaded image for this powerup type if available
+	const img = powerupImages[p.type];
+	const shapes = palette().shapes;
+	if (shapes) drawPowerupShape(ctx, p, x);
+	// check image finished loading before drawing
+	if (img && img.complete && img.naturalWidth !== 0) {
+		// draw image at powerup position and size (smaller on a shape badge so its outline shows)
+		const inset = shapes ? p.w * 0.18 : 0;
+		ctx.drawImage(img, x + inset, p.y + inset, p.w - inset * 2, p.h - inset * 2);
+	} else if (powerupArt[p.type]) {
+		// round badge in the powerup's colour with its symbol on top
+		if (!shapes) {
+			ctx.fillStyle = powerupColor(p.type);
+			ctx.beginPath();
+			ctx.arc(x + p.w / 2, p.y + p.h / 2, p.w / 2, 0, Math.PI * 2);
+			ctx.fill();
+		}
+		powerupArt[p.type](ctx, x + p.w / 2, p.y + p.h / 2, p.w / 2);
+	} else {
+		// fallback: draw a colored rounded rect as before while image loads / on error
+		if (!shapes) {
+			ctx.fillStyle = powerupColor(p.type);
+			roundRect(ctx, x, p.y, p.w, p.h, 4);
+			ctx.fill();
+		}
+
+		// small letter for type (fallback)
+		ctx.fillStyle = '#fff';
+		ctx.font = '12px sans-serif';
+		ctx.fillText(p.type[0].toUpperCase(), x + 6, p.y + 14);
+	}
+}
+
+/* Shape cue per powerup: no two share an outline */
+const POWERUP_SHAPES = {
+	filter: 'square',
+	pump: 'triangle',
+	well: 'hexagon',
+	magnet: 'diamond',
+	shield: 'pentagon',
+	slowmo: 'circle',
+	doubler: 'star'
+};
+
+/* Outlined badge in the powerup's shape and palette colour */
+function drawPowerupShape(ctx, p, x) {
+	const r = p.w / 2;
+	shapePath(ctx, POWERUP_SHAPES[p.type] || 'circle', x + r, p.y + p.h / 2, r * 1.1);
+	ctx.fillStyle = powerupColor(p.type);
+	ctx.fill();
+	ctx.lineWidth = 2;
+	ctx.strokeStyle = palette().outline;
+	ctx.stroke();
+}
 
-	// Draw collectibles (clean drops)
-	collectibles.forEach(c => {
-		ctx.fillStyle = c.color;
+/* Start a path for a circle, star or regular polygon of radius r centred on (cx, cy) */
+function shapePath(ctx, shape, cx, cy, r) {
+	ctx.beginPath();
+	if (shape === 'circle') {
+		ctx.arc(cx, cy, r, 0, Math.PI * 2);
+		return;
+	}
+	const corners = { triangle: 3, square: 4, diamond: 4, pentagon: 5, hexagon: 6, star: 10 }[shape];
+	// squares sit flat; everything else points up
+	const start = shape === 'square' ? -Math.PI * 3 / 4 : -Math.PI / 2;
+	for (let i = 0; i < corners; i++) {
+		const angle = start + (i * Math.PI * 2) / corners;
+		// a star alternates between its points and the dips between them
+		const radius = (shape === 'star' && i % 2 === 1) ? r * 0.55 : r;
+		ctx.lineTo(cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius);
+	}
+	ctx.closePath();
+}
+
+/* Symbols drawn on the newer powerups' badges, centred on (cx, cy) within radius r */
+const powerupArt = {
+	// red horseshoe magnet with silver tips
+	magnet(ctx, cx, cy, r) {
+		ctx.lineWidth = r * 0.35;
+		ctx.strokeStyle = '#F5402C';
+		ctx.beginPath();
+		ctx.arc(cx, cy, r * 0.45, 0, Math.PI);
+		ctx.stroke();
+		ctx.fillStyle = '#e6e6e6';
+		ctx.fillRect(cx - r * 0.63, cy - r * 0.5, r * 0.36, r * 0.5);
+		ctx.fillRect(cx + r * 0.27, cy - r * 0.5, r * 0.36, r * 0.5);
+	},
+	// white shield outline
+	shield(ctx, cx, cy, r) {
+		ctx.fillStyle = '#ffffff';
+		ctx.beginPath();
+		ctx.moveTo(cx, cy - r * 0.6);
+		ctx.lineTo(cx + r * 0.5, cy - r * 0.35);
+		ctx.quadraticCurveTo(cx + r * 0.45, cy + r * 0.35, cx, cy + r * 0.65);
+		ctx.quadraticCurveTo(cx - r * 0.45, cy + r * 0.35, cx - r * 0.5, cy - r * 0.35);
+		ctx.closePath();
+		ctx.fill();
+	},
+	// clock face with two hands
+	slowmo(ctx, cx, cy, r) {
+		ctx.strokeStyle = '#ffffff';
+		ctx.lineWidth = Math.max(1.5, r * 0.14);
 		ctx.beginPath();
-		ctx.ellipse(c.x + c.w/2, c.y + c.h/2, c.w/2, c.h/2, 0, 0, Math.PI*2);
+		ctx.arc(cx, cy, r * 0.6, 0, Math.PI * 2);
+		ctx.moveTo(cx, cy);
+		ctx.lineTo(cx, cy - r * 0.4);
+		ctx.moveTo(cx, cy);
+		ctx.lineTo(cx + r * 0.3, cy);
+		ctx.stroke();
+	},
+	// "x2" label
+	doubler(ctx, cx, cy, r) {
+		ctx.fillStyle = '#ffffff';
+		ctx.font = `bold ${Math.round(r * 1.1)}px sans-serif`;
+		ctx.textAlign = 'center';
+		ctx.textBaseline = 'middle';
+		ctx.fillText('x2', cx, cy + 1);
+		ctx.textAlign = 'left';
+		ctx.textBaseline = 'alphabetic';
+	}
+};
+
+/* Translucent bubble drawn around the player while the shield is up */
+function drawShieldBubble(ctx, cx, cy, r) {
+	ctx.save();
+	ctx.fillStyle = 'rgba(139,209,203,0.18)';
+	ctx.strokeStyle = 'rgba(46,157,247,0.7)';
+	ctx.lineWidth = 2;
+	ctx.beginPath();
+	ctx.arc(cx, cy, r, 0, Math.PI * 2);
+	ctx.fill();
+	ctx.stroke();
+	// small highlight so it reads as a bubble
+	ctx.fillStyle = 'rgba(255,255,255,0.45)';
+	ctx.beginPath();
+	ctx.ellipse(cx - r * 0.4, cy - r * 0.45, r * 0.18, r * 0.1, -0.6, 0, Math.PI * 2);
+	ctx.fill();
+	ctx.restore();
+}
+
+/* HUD timer bars for the running powerups: icon plus a bar that empties as the
+   powerup runs out, one row per powerup in the top-left corner of the canvas */
+function drawPowerupTimers(ctx, activePowers) {
+	const size = 22, barW = 70, barH = 8;
+	Object.keys(activePowers).forEach((type, i) => {
+		const power = activePowers[type];
+		const x = 10, y = 10 + i * (size + 6);
+		drawPowerup(ctx, { type, y, w: size, h: size }, x);
+
+		// bar background, then the time left
+		const frac = Math.max(0, Math.min(1, power.timer / power.duration));
+		ctx.fillStyle = 'rgba(11,41,72,0.25)';
+		roundRect(ctx, x + size + 6, y + (size - barH) / 2, barW, barH, 4);
+		ctx.fill();
+		ctx.fillStyle = powerupColor(type);
+		roundRect(ctx, x + size + 6, y + (size - barH) / 2, Math.max(barH, barW * frac), barH, 4);
 		ctx.fill();
 	});
+}
 
-	// Draw powerups
-	powerups.forEach(p => {
-		// use the loaded image for this powerup type if available
-		const img = powerupImages[p.type];
-		// check image finished loading before drawing
-		if (img && img.complete && img.naturalWidth !== 0) {
-			// draw image at powerup position and size
-			ctx.drawImage(img, p.x, p.y, p.w, p.h);
-		} else {
-			// fallback: draw a colored rounded rect as before while image loads / on error
-			if (p.type === 'filter') ctx.fillStyle = '#8BD1CB';
-			else if (p.type === 'pump') ctx.fillStyle = '#FF902A';
-			else ctx.fillStyle = '#159A48';
-			roundRect(ctx, p.x, p.y, p.w, p.h, 4);
-			ctx.fill();
+/* HUD water meter: the jerry can in the top-right corner, filling from the
+   bottom as clean drops are collected, with the drop count beside it */
+function drawWaterMeter(ctx, water, capacity) {
+	const w = 30, h = 36;
+	const x = canvas.width - w - 12, y = 10;
+	const frac = capacity > 0 ? Math.max(0, Math.min(1, water / capacity)) : 0;
 
-			// small letter for type (fallback)
-			ctx.fillStyle = '#fff';
-			ctx.font = '12px sans-serif';
-			ctx.fillText(p.type[0].toUpperCase(), p.x + 6, p.y + 14);
-		}
+	// empty can, faded
+	ctx.save();
+	ctx.globalAlpha = 0.35;
+	drawJerryCan(ctx, x, y, w, h);
+	ctx.restore();
+
+	// the filled part: the can at full strength plus a blue wash, clipped to the water level
+	if (frac > 0) {
+		ctx.save();
+		ctx.beginPath();
+		ctx.rect(x, y + h * (1 - frac), w, h * frac);
+		ctx.clip();
+		drawJerryCan(ctx, x, y, w, h);
+		ctx.fillStyle = 'rgba(46,157,247,0.35)';
+		ctx.fillRect(x, y, w, h);
+		ctx.restore();
+	}
+
+	ctx.fillStyle = frac >= 1 ? '#2E9DF7' : '#0b2948';
+	ctx.font = 'bold 13px sans-serif';
+	ctx.textAlign = 'right';
+	ctx.fillText(frac >= 1 ? 'Deliver!' : `${water}/${capacity}`, x - 6, y + h / 2 + 4);
+	ctx.textAlign = 'left';
+}
+
+/* Village checkpoint: two huts and a well standing on groundY.
+   v holds the village's size (x comes in separately, interpolated). */
+function drawVillage(ctx, vx, v, groundY) {
+	// huts: mud walls with thatched roofs
+	[[0, 44], [v.w - 44, 40]].forEach(([dx, size]) => {
+		const hx = vx + dx;
+		ctx.fillStyle = '#c98b5a';
+		ctx.fillRect(hx, groundY - size * 0.7, size, size * 0.7);
+		ctx.fillStyle = '#d9b45a';
+		ctx.beginPath();
+		ctx.moveTo(hx - 6, groundY - size * 0.7);
+		ctx.lineTo(hx + size / 2, groundY - size * 1.25);
+		ctx.lineTo(hx + size + 6, groundY - size * 0.7);
+		ctx.closePath();
+		ctx.fill();
+		// doorway
+		ctx.fillStyle = '#6b3f22';
+		ctx.fillRect(hx + size * 0.4, groundY - size * 0.4, size * 0.22, size * 0.4);
 	});
 
-	// Draw confetti particles (render above player for visibility)
-	if (confettiParticles.length > 0) {
-		for (let p of confettiParticles) {
-			ctx.save();
-			ctx.translate(p.x, p.y);
-			ctx.rotate(p.angle);
-			ctx.fillStyle = p.color;
-			// draw centered rectangle
-			ctx.fillRect(-p.width / 2, -p.height / 2, p.width, p.height);
-			ctx.restore();
+	// well in the middle: stone ring, posts and a little roof
+	const wx = vx + v.w / 2;
+	ctx.fillStyle = '#9aa5b1';
+	roundRect(ctx, wx - 14, groundY - 20, 28, 20, 4);
+	ctx.fill();
+	ctx.fillStyle = '#2E9DF7';
+	ctx.fillRect(wx - 10, groundY - 20, 20, 4);
+	ctx.fillStyle = '#8b5a3c';
+	ctx.fillRect(wx - 14, groundY - 46, 3, 26);
+	ctx.fillRect(wx + 11, groundY - 46, 3, 26);
+	ctx.fillStyle = '#FFC907';
+	ctx.beginPath();
+	ctx.moveTo(wx - 20, groundY - 44);
+	ctx.lineTo(wx, groundY - 58);
+	ctx.lineTo(wx + 20, groundY - 44);
+	ctx.closePath();
+	ctx.fill();
+}
+
+/* Campaign finish flag: pole plus a blue and white checkered flag standing on groundY */
+function drawFinishFlag(ctx, fx, groundY) {
+	// pole
+	ctx.fillStyle = '#8b5a3c';
+	ctx.fillRect(fx, groundY - 120, 5, 120);
+	// checkered flag
+	const size = 10;
+	for (let row = 0; row < 3; row++) {
+		for (let col = 0; col < 4; col++) {
+			ctx.fillStyle = (row + col) % 2 === 0 ? '#2E9DF7' : '#ffffff';
+			ctx.fillRect(fx + 5 + col * size, groundY - 120 + row * size, size, size);
 		}
 	}
 }
@@ -1046,35 +2115,46 @@ function roundRect(ctx, x, y, w, h, r) {
 }
 
 /* New: draw a friendlier, cartoon-style teardrop with outline and layered highlights */
-function drawDrop(ctx, x, y, w, h, isFiltered) {
+function drawDrop(ctx, x, y, w, h, isFiltered, isSliding, isDirty, isHurt) {
 	const cx = x + w / 2;
 	const topY = y;
 	const bottomY = y + h;
+	// sliding: squashed drop with the tip swept back by the speed
+	const tipX = isSliding ? x + w * 0.12 : cx;
 
 	// soft teardrop path
 	ctx.beginPath();
-	ctx.moveTo(cx, topY); // tip
+	ctx.moveTo(tipX, topY); // tip
 	ctx.bezierCurveTo(x + w * 1.02, y + h * 0.20, x + w * 0.62, bottomY - h * 0.06, cx, bottomY);
-	ctx.bezierCurveTo(x + w * 0.38, bottomY - h * 0.06, x - w * 0.02, y + h * 0.20, cx, topY);
+	ctx.bezierCurveTo(x + w * 0.38, bottomY - h * 0.06, x - w * 0.02, y + h * 0.20, tipX, topY);
 	ctx.closePath();
 
-	// gentle vertical gradient
+	// gentle vertical gradient (colours from the display palette)
+	const pal = palette();
 	const grad = ctx.createLinearGradient(x, y, x, y + h);
 	if (isFiltered) {
-		grad.addColorStop(0, '#9ff7c6');
-		grad.addColorStop(1, '#2EA84A');
+		grad.addColorStop(0, pal.filtered[0]);
+		grad.addColorStop(1, pal.filtered[1]);
+	} else if (isDirty) {
+		// muddy after a polluted puddle
+		grad.addColorStop(0, '#e3d6ae');
+		grad.addColorStop(0.6, '#b49a5e');
+		grad.addColorStop(1, '#7d6334');
 	} else {
-		grad.addColorStop(0, '#cfefff');
-		grad.addColorStop(0.6, '#7fd7ff');
-		grad.addColorStop(1, '#2E9DF7');
+		grad.addColorStop(0, pal.drop[0]);
+		grad.addColorStop(0.6, pal.drop[1]);
+		grad.addColorStop(1, pal.drop[2]);
 	}
 	ctx.fillStyle = grad;
 	ctx.fill();
 
-	// friendly outline (soft dark stroke)
+	// friendly outline (soft dark stroke), red while recovering from a hit
+	// (dashed too when shape cues are on, so it doesn't rely on the colour)
 	ctx.lineWidth = Math.max(2, w * 0.04);
-	ctx.strokeStyle = 'rgba(4,34,60,0.85)';
+	ctx.strokeStyle = isHurt ? pal.hurt : pal.outline;
+	if (isHurt && pal.shapes) ctx.setLineDash([6, 4]);
 	ctx.stroke();
+	ctx.setLineDash([]);
 
 	// layered highlights for cartoon gloss
 	ctx.save();
@@ -1087,12 +2167,23 @@ function drawDrop(ctx, x, y, w, h, isFiltered) {
 	ctx.beginPath();
 	ctx.ellipse(cx - w * 0.06, y + h * 0.12, w * 0.08, h * 0.05, -0.35, 0, Math.PI * 2);
 	ctx.fill();
+
+	// mud splotches near the bottom
+	if (isDirty) {
+		ctx.fillStyle = 'rgba(90,66,24,0.55)';
+		[[0.38, 0.78, 0.07], [0.62, 0.86, 0.05], [0.55, 0.7, 0.04]].forEach(([fx, fy, r]) => {
+			ctx.beginPath();
+			ctx.ellipse(x + w * fx, y + h * fy, w * r, w * r * 0.8, 0, 0, Math.PI * 2);
+			ctx.fill();
+		});
+	}
 	ctx.restore();
 }
 
 /* New: friendlier face and rounded limbs (cute eyes, rosy cheeks, rounded hands/feet).
-   isMad toggles eyebrow/mouth to angry style for game over. */
-function drawFaceAndLimbs(ctx, x, y, w, h, isMad) {
+   isMad toggles eyebrow/mouth to angry style for game over and right after a hit.
+   isSliding sweeps the arms back and stretches the feet out in front. */
+function drawFaceAndLimbs(ctx, x, y, w, h, isMad, isSliding) {
 	const cx = x + w / 2;
 	// Eye positions
 	const eyeY = y + h * 0.34;
@@ -1185,6 +2276,11 @@ function drawFaceAndLimbs(ctx, x, y, w, h, isMad) {
 		ctx.fill();
 	}
 
+	if (isSliding) {
+		drawSlideLimbs(ctx, x, y, w, h);
+		return;
+	}
+
 	// Arms: rounded, slightly curved (cute)
 	ctx.strokeStyle = '#062033';
 	ctx.lineWidth = Math.max(2, w * 0.035);
@@ -1228,51 +2324,53 @@ function drawFaceAndLimbs(ctx, x, y, w, h, isMad) {
 	ctx.fill();
 }
 
-/* Activate powerup effects */
-function activatePowerup(type) {
-	if (type === 'filter') {
-		activePower = { type: 'filter', timer: 3.0 }; // seconds
-		player.filterActive = true;
-
-		// start the filter aura visual
-		filterAura.active = true;
-		filterAura.radius = player.width / 2;
-		filterAura.opacity = 1.0;
-
-	} else if (type === 'pump') {
-		// store previous speed so we can restore it exactly
-		const prev = gameSpeed;
-		activePower = { type: 'pump', timer: 2.5, prevGameSpeed: prev };
-		// temporarily boost speed
-		gameSpeed = prev + 60;
+/* Sliding pose: both arms trail behind, legs stretch forward along the ground */
+function drawSlideLimbs(ctx, x, y, w, h) {
+	const handR = w * 0.035;
+	const footY = y + h + 2;
+	ctx.strokeStyle = '#062033';
+	ctx.fillStyle = '#062033';
+	ctx.lineCap = 'round';
 
-		// create a short burst of speed lines around player
-		createSpeedLinesBurst(player.x + player.width / 2, player.y + player.height / 2);
+	// arms swept back
+	ctx.lineWidth = Math.max(2, w * 0.035);
+	[0.45, 0.65].forEach(t => {
+		ctx.beginPath();
+		ctx.moveTo(x + w * 0.14, y + h * t);
+		ctx.quadraticCurveTo(x - w * 0.05, y + h * (t - 0.1), x - w * 0.2, y + h * (t - 0.05));
+		ctx.stroke();
+		ctx.beginPath();
+		ctx.ellipse(x - w * 0.2, y + h * (t - 0.05), handR, handR, 0, 0, Math.PI * 2);
+		ctx.fill();
+	});
 
-	} else if (type === 'well') {
-		// add 1 life (we read/write from the DOM)
-		let lives = Number(livesDisplay.textContent.replace(/[^\d]/g, '')) || 3;
-		lives++;
-		livesDisplay.textContent = `Lives: ${lives}`;
-		// create a small confetti burst at the player's center
-		createConfettiBurst(player.x + player.width / 2, player.y + player.height / 2);
-		// small green flash could be drawn; for now rely on HUD
-	}
+	// legs out in front, feet skimming the ground
+	ctx.lineWidth = Math.max(2, w * 0.04);
+	[0.55, 0.75].forEach(t => {
+		ctx.beginPath();
+		ctx.moveTo(x + w * t, y + h - h * 0.1);
+		ctx.lineTo(x + w * (t + 0.35), footY);
+		ctx.stroke();
+		ctx.beginPath();
+		ctx.ellipse(x + w * (t + 0.35), footY, w * 0.045, w * 0.03, 0, 0, Math.PI * 2);
+		ctx.fill();
+	});
 }
 
 /* New: create speed-line burst for pump effect */
 function createSpeedLinesBurst(cx, cy) {
 	const now = performance.now();
-	// spawn a number of short-lived speed lines
-	for (let i = 0; i < 30; i++) {
-		const angle = rand(-0.25, 0.25); // mostly horizontal
-		const length = rand(24, 80);
-		const vy = rand(-12, 12);
-		const vx = -rand(240, 560); // negative: move left quickly
-		const life = rand(0.25, 0.6);
+	// spawn a number of short-lived speed lines (fewer with reduced motion, none when off)
+	const count = Math.round(30 * motionAmount());
+	for (let i = 0; i < count; i++) {
+		const angle = fxRand(-0.25, 0.25); // mostly horizontal
+		const length = fxRand(24, 80);
+		const vy = fxRand(-12, 12);
+		const vx = -fxRand(240, 560); // negative: move left quickly
+		const life = fxRand(0.25, 0.6);
 		speedLines.push({
-			x: cx + rand(-8, 8),
-			y: cy + rand(-10, 10),
+			x: cx + fxRand(-8, 8),
+			y: cy + fxRand(-10, 10),
 			vx: vx,
 			vy: vy,
 			length: length,
@@ -1287,16 +2385,18 @@ function createSpeedLinesBurst(cx, cy) {
 function createConfettiBurst(x, y) {
 	// colors for confetti pieces
 	const colors = ['#FFC107', '#FF5722', '#FF80AB', '#8BD1CB', '#2E9DF7'];
-	for (let i = 0; i < 50; i++) {
-		const angle = (Math.random() * Math.PI * 2);
-		const speed = rand(120, 420); // pixels per second initial speed
+	// fewer pieces with reduced motion, none when it's off
+	const count = Math.round(50 * motionAmount());
+	for (let i = 0; i < count; i++) {
+		const angle = (fxRng() * Math.PI * 2);
+		const speed = fxRand(120, 420); // pixels per second initial speed
 		const vx = Math.cos(angle) * speed;
-		const vy = -rand(220, 480); // initial upward throw (negative vy)
-		const w = rand(4, 9);
-		const h = rand(6, 12);
-		const spin = rand(-8, 8); // radians per second
-		const life = rand(2.0, 3.2); // seconds
-		const color = colors[Math.floor(Math.random() * colors.length)];
+		const vy = -fxRand(220, 480); // initial upward throw (negative vy)
+		const w = fxRand(4, 9);
+		const h = fxRand(6, 12);
+		const spin = fxRand(-8, 8) * (reducedMotion ? 0.3 : 1); // radians per second
+		const life = fxRand(2.0, 3.2); // seconds
+		const color = colors[Math.floor(fxRng() * colors.length)];
 		confettiParticles.push({
 			x: x,
 			y: y,
@@ -1305,127 +2405,223 @@ function createConfettiBurst(x, y) {
 			width: w,
 			height: h,
 			color: color,
-			angle: Math.random() * Math.PI * 2,
+			angle: fxRng() * Math.PI * 2,
 			spin: spin,
 			life: life
 		});
 	}
 }
 
-/* Choose and apply a random bonus when player hits a jerry can.
-   Returns an object with a `label` describing the bonus for popups. */
-function applyJerryBonus() {
-	const bonuses = ['life','score','filter','pump','confetti'];
-	const choice = bonuses[Math.floor(Math.random() * bonuses.length)];
-	switch (choice) {
-		case 'life': {
-			let lives = Number(livesDisplay.textContent.replace(/[^\d]/g, '')) || 3;
-			lives++;
-			livesDisplay.textContent = `Lives: ${lives}`;
-				playSound('powerup');
-			return { key: 'life', label: '+1 Life' };
-		}
-		case 'score': {
-			const pts = 50;
-			score += pts;
-			scoreDisplay.textContent = `Score: ${score}`;
-				playSound('collect');
-			return { key: 'score', label: `+${pts}` };
-		}
-		case 'filter': {
-			activatePowerup('filter');
-				playSound('powerup');
-			return { key: 'filter', label: 'Filter!' };
-		}
-		case 'pump': {
-			activatePowerup('pump');
-				playSound('powerup');
-			return { key: 'pump', label: 'Pump!' };
-		}
-		case 'confetti': {
-			const pts = 30;
-			score += pts;
-			scoreDisplay.textContent = `Score: ${score}`;
-			createConfettiBurst(player.x + player.width/2, player.y + player.height/2);
-				playSound('collect');
-			return { key: 'confetti', label: `+${pts}` };
-		}
-	}
-}
-
 /* End game: show game over screen and final stats */
 function endGame() {
 	running = false;
-	// set expression to mad so player shows angry face / posture
-	player.isMad = true;
-	// stop and clear all audio (SFX + BGM) so audio does not continue after game over
-	stopAllAudio();
+	// replays stop on the final frame instead of showing the game over screen
+	if (replay) {
+		replay.playing = false;
+		return;
+	}
+	// editor test plays go straight back to the editor without saving anything
+	if (testPlayReturn) {
+		stopAllAudio();
+		setTimeout(finishTestPlay, 600);
+		return;
+	}
+	// save the finished run so it can be watched again
+	finishRecording();
+	commitRunStats(game.state);
+	const finalState = game.state;
+	// stop all audio so nothing continues after game over; the music fades out
+	// (under the win stinger, or along with the slow-motion finale)
+	stopAllAudio(finalState.completed ? MUSIC_WIN_FADE : FINALE_TIME);
+	// campaign stages save their best score and stars right away
+	const stageResult = finalState.level ? recordStageResult(finalState) : null;
+	if (finalState.completed) {
+		audioEnabled = !muted;
+		playSound('win');
+	} else {
+		// the last hit plays out in slow motion during the pause below
+		startFinale();
+	}
 	// briefly show the mad expression on canvas, then show game over screen
 	setTimeout(function() {
 		gameArea.classList.add('hidden');
 		gameOverScreen.classList.remove('hidden');
-		finalScore.textContent = `Final Score: ${score}`;
-		waterFact.textContent = `Water Fact: ${waterFacts[Math.floor(Math.random()*waterFacts.length)]}`;
-		// ensure highscore saved
-		if (score > highscore) {
-			highscore = score;
-			localStorage.setItem('cdr-highscore', `${highscore}`);
-		}
+		if (gameOverTitle) gameOverTitle.textContent = finalState.completed ? 'Stage Complete!' : 'Game Over!';
+		finalScore.textContent = `Final Score: ${finalState.score}`;
+		// show the seed so the same run can be replayed with ?seed=...
+		finalSeed && (finalSeed.textContent = `Seed: ${finalState.seed}`);
+		waterFact.textContent = `Water Fact: ${waterFacts[Math.floor(fxRng()*waterFacts.length)]}`;
+		showStageResult(stageResult);
+		// endless runs offer a leaderboard entry when they made the top 10
+		if (finalState.level) leaderboardEntry && leaderboardEntry.classList.add('hidden');
+		else showLeaderboardPrompt(finalState);
+		// keyboard focus lands on Play Again (the initials box has taken it when there's an entry to make)
+		if (!leaderboardEntry || leaderboardEntry.classList.contains('hidden')) playAgainBtn.focus();
+		announce(gameOverSummary(finalState, stageResult), { urgent: true });
 	}, 600); // 600ms pause to let player see the mad expression
 }
 
-/* Main loop using requestAnimationFrame */
+/* Main loop using requestAnimationFrame.
+   Real frame time is poured into an accumulator and the simulation advances in
+   fixed SIM_STEP (1/120s) steps, however fast or slow the display refreshes.
+   Whatever is left over (less than one step) becomes the interpolation alpha. */
 function gameLoop(timestamp) {
-	if (!running) return;           // game not active
-	if (paused) return;            // paused: stop requesting next frame
-	const dt = Math.min(0.05, (timestamp - lastTime) / 1000); // clamp dt for safety
+	// gamepad presses queue their inputs like keys do (Start may pause right here)
+	pollGamepads();
+	// game not active, or paused: stop requesting frames (a gamepad is still polled for the menus)
+	if (!running || paused) {
+		startGamepadIdle();
+		return;
+	}
+	// clamp frame time so a long stall (tab switch) doesn't fast-forward the game
+	const frameTime = Math.min(0.25, Math.max(0, (timestamp - lastTime) / 1000));
 	lastTime = timestamp;
+	updateCamera(frameTime);
+	// hit-stop: the frozen time is used up before any reaches the simulation
+	const frozen = Math.min(camera.hitStop, frameTime);
+	camera.hitStop -= frozen;
+	simAccumulator += frameTime - frozen;
+
+	// (a hit-stop raised during a step holds the remaining steps until it ends)
+	while (simAccumulator >= SIM_STEP && running && camera.hitStop <= 0) {
+		simulateStep();
+		simAccumulator -= SIM_STEP;
+		updateVisuals(SIM_STEP);
+	}
 
-	updateGame(dt);
-	drawGame();
+	renderFrame(Math.min(1, simAccumulator / SIM_STEP));
+	updateAdaptiveMusic(game.state);
 
-	requestAnimationFrame(gameLoop);
+	if (running) requestAnimationFrame(gameLoop);
+	else startGamepadIdle();
+}
+
+/* Run one fixed simulation step with the inputs collected since the last one */
+function simulateStep() {
+	const inputs = pendingInputs;
+	pendingInputs = { jump: false, jumpRelease: false, duck: false, duckRelease: false };
+	// count the step so recorded inputs line up with the tick they were applied on
+	// (before stepping: the final step ends the run and closes the recording)
+	if (recording) recording.ticks++;
+	game.step(SIM_STEP, inputs);
 }
 
 /* ============
    Input handling
    ============ */
-/* Jump action */
+/* Jump action: queue a jump for the next simulation step (the core decides if it fires) */
 function jump() {
-	// allow jump when on ground or small coyote window (simple)
-	if (player.onGround) {
-		player.vy = player.jumpPower;
-		player.onGround = false;
-		// sound for jump
-		playSound('jump');
-	}
+	// log every jump press (even ones that don't fire) for replays
+	recordInput('jump');
+	pendingInputs.jump = true;
+}
+
+/* Letting go of jump cuts the jump short (variable jump height) */
+function releaseJump() {
+	recordInput('jumpRelease');
+	pendingInputs.jumpRelease = true;
+}
+
+/* Duck / slide while held (in the air it drops the player fast instead) */
+function duck() {
+	recordInput('duck');
+	pendingInputs.duck = true;
+}
+
+function releaseDuck() {
+	recordInput('duckRelease');
+	pendingInputs.duckRelease = true;
 }
 
-/* Keyboard */
+/* Keyboard (keys come from the bindings on the Controls screen, see "Controls: key bindings") */
 document.addEventListener('keydown', (e) => {
-	if (!running && (e.code === 'Space' || e.code === 'ArrowUp')) {
-		// If on start screen, start game on first interaction
-		startBtn.click();
+	const action = controlFor(e.code);
+	// during a replay, the jump key toggles playback instead of jumping
+	if (replay) {
+		if (action === 'jump') {
+			e.preventDefault();
+			toggleReplayPlaying();
+		}
 		return;
 	}
-	if (e.code === 'Space' || e.code === 'ArrowUp') {
-		e.preventDefault();
-		jump();
+	// let text boxes (e.g. leaderboard initials) receive their own keys; radios, sliders
+	// and selects keep focus after a click, so they must not swallow Space
+	if (e.target && e.target.matches && e.target.matches('input[type="text"], input[type="number"], textarea')) return;
+	if (!action) return;
+	// mute works on every screen
+	if (action === 'mute') {
+		if (!e.repeat) toggleMute();
+		return;
+	}
+	if (!running) {
+		// If on start screen, start game on first interaction (or play again after game over);
+		// other screens, such as the level editor, keep their keys
+		if (action !== 'jump') return;
+		if (!startScreen.classList.contains('hidden')) startBtn.click();
+		else if (!gameOverScreen.classList.contains('hidden')) playAgainBtn.click();
+		return;
 	}
+	e.preventDefault();
+	// holding a key auto-repeats keydown; only the first press counts
+	if (e.repeat) return;
+	if (action === 'jump') jump();
+	else if (action === 'duck') duck();
+	else if (action === 'pause' && pauseBtn) pauseBtn.click();
+	else if (action === 'reset' && resetBtn) resetBtn.click();
+});
+
+document.addEventListener('keyup', (e) => {
+	if (replay || !running) return;
+	const action = controlFor(e.code);
+	if (action === 'jump') releaseJump();
+	if (action === 'duck') releaseDuck();
 });
 
 /* Touch for mobile: tap canvas to jump */
 canvas.addEventListener('touchstart', (e) => {
 	e.preventDefault();
+	if (replay) return; // replays ignore live input
 	if (!running) {
 		startBtn.click();
 		return;
 	}
+	// remember where the touch began so a downward swipe can be spotted
+	swipeStartY = e.touches[0].clientY;
+	swipeDucking = false;
 	jump();
 }, { passive: false });
 
+/* Swipe down to duck: the tap has already started a jump, so in the air this
+   drops the player fast and they land straight into a slide */
+const SWIPE_DOWN_DISTANCE = 30; // CSS pixels
+let swipeStartY = 0;
+let swipeDucking = false;
+canvas.addEventListener('touchmove', (e) => {
+	e.preventDefault();
+	if (replay || !running || swipeDucking) return;
+	if (e.touches[0].clientY - swipeStartY > SWIPE_DOWN_DISTANCE) {
+		swipeDucking = true;
+		duck();
+	}
+}, { passive: false });
+
+/* Lifting the finger (or the touch being cancelled) releases the jump (and a swipe duck) */
+function onTouchRelease(e) {
+	if (replay || !running) return;
+	// another finger still down keeps the jump held
+	if (e.touches && e.touches.length > 0) return;
+	releaseJump();
+	if (swipeDucking) {
+		swipeDucking = false;
+		releaseDuck();
+	}
+}
+canvas.addEventListener('touchend', onTouchRelease);
+canvas.addEventListener('touchcancel', onTouchRelease);
+
 /* Mouse click also jumps */
 canvas.addEventListener('mousedown', (e) => {
+	if (replay) return; // replays ignore live input
 	if (!running) {
 		startBtn.click();
 		return;
@@ -1433,12 +2629,19 @@ canvas.addEventListener('mousedown', (e) => {
 	jump();
 });
 
+/* Mouse release is watched on the whole page so letting go outside the canvas still counts */
+document.addEventListener('mouseup', (e) => {
+	if (replay || !running || e.button !== 0) return;
+	releaseJump();
+});
+
 // Pause button behavior
 if (pauseBtn) {
 	pauseBtn.addEventListener('click', () => {
 		// only allow pause when game is running
-		if (!running) return;
+		if (!running || replay) return;
 		paused = !paused;
+		recordInput(paused ? 'pause' : 'resume');
 		// click SFX
 		playSound('click');
 		pauseBtn.textContent = paused ? 'Resume' : 'Pause';
@@ -1453,23 +2656,1226 @@ if (pauseBtn) {
 // Reset button behavior
 if (resetBtn) {
 	resetBtn.addEventListener('click', () => {
+		if (replay) return;
 		playSound('click');
 		resetGame();
 	});
 }
 
-/* ============
-   UI controls
-   ============ */
-function showStartScreen() {
-	startScreen.classList.remove('hidden');
-	gameArea.classList.add('hidden');
-	gameOverScreen.classList.add('hidden');
-	// show highscore
-	highscoreEl && (highscoreEl.textContent = `High: ${highscore}`);
+/* =====================
+   Controls: key bindings
+   Every keyboard action can be rebound on the Controls screen (start screen ->
+   Controls). Bindings are saved in localStorage under 'cdr-controls' as
+   { action: [KeyboardEvent.code, ...] }. Escape is kept for cancelling a rebind.
+======================*/
+
+const CONTROLS_KEY = 'cdr-controls';
+const CONTROL_ACTIONS = [
+	{ id: 'jump', label: 'Jump' },
+	{ id: 'duck', label: 'Duck / slide' },
+	{ id: 'pause', label: 'Pause / resume' },
+	{ id: 'reset', label: 'Reset run' },
+	{ id: 'mute', label: 'Mute / unmute' }
+];
+const DEFAULT_CONTROLS = {
+	jump: ['Space', 'ArrowUp'],
+	duck: ['ArrowDown', 'KeyS'],
+	pause: ['KeyP'],
+	reset: ['KeyR'],
+	mute: ['KeyM']
+};
+
+function loadControls() {
+	const bindings = {};
+	Object.keys(DEFAULT_CONTROLS).forEach(action => { bindings[action] = DEFAULT_CONTROLS[action].slice(); });
+	try {
+		const saved = JSON.parse(localStorage.getItem(CONTROLS_KEY));
+		if (saved && typeof saved === 'object') {
+			Object.keys(bindings).forEach(action => {
+				const keys = saved[action];
+				if (Array.isArray(keys) && keys.every(k => typeof k === 'string')) bindings[action] = keys;
+			});
+		}
+	} catch (e) {
+		// corrupt save: keep the defaults
+	}
+	return bindings;
+}
+let controls = loadControls();
+
+/* The action bound to a key (null when the key does nothing) */
+function controlFor(code) {
+	return Object.keys(controls).find(action => controls[action].includes(code)) || null;
+}
+
+/* Bind `code` to `action` on its own; a key can only do one thing, so it's taken off any other action */
+function bindControl(action, code) {
+	Object.keys(controls).forEach(other => {
+		controls[other] = controls[other].filter(k => k !== code);
+	});
+	controls[action] = [code];
+	localStorage.setItem(CONTROLS_KEY, JSON.stringify(controls));
+}
+
+function resetControls() {
+	localStorage.removeItem(CONTROLS_KEY);
+	controls = loadControls();
+}
+
+/* The canvas label read by screen readers names the current keys */
+function updateCanvasLabel() {
+	const keys = (action) => controls[action].map(keyLabel).join(' or ') || 'not set';
+	canvas.setAttribute('aria-label', `Clean Drop Runner game. Jump: ${keys('jump')}. Slide: ${keys('duck')}. Pause: ${keys('pause')}.`);
+}
+
+/* Friendly name for a key code: 'KeyS' -> 'S', 'ArrowUp' -> '↑', 'Digit1' -> '1' */
+function keyLabel(code) {
+	const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+	if (arrows[code]) return arrows[code];
+	if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+	if (/^Digit\d$/.test(code)) return code.slice(5);
+	return code;
+}
+
+/* Controls screen: one row per action with a button showing its keys.
+   Clicking the button waits for the next key press and binds it. */
+const controlsScreen = document.getElementById('controls-screen');
+const controlsBtn = document.getElementById('controls-btn');
+const controlsBackBtn = document.getElementById('controls-back-btn');
+const controlsResetBtn = document.getElementById('controls-reset-btn');
+const controlsList = document.getElementById('controls-list');
+const gamepadStatus = document.getElementById('gamepad-status');
+let rebinding = null; // action waiting for its new key
+
+function renderControls() {
+	if (!controlsList) return;
+	controlsList.innerHTML = '';
+	CONTROL_ACTIONS.forEach(({ id, label }) => {
+		const row = document.createElement('div');
+		row.className = 'control-row';
+		const name = document.createElement('span');
+		name.textContent = label;
+		const btn = document.createElement('button');
+		btn.type = 'button';
+		btn.className = 'btn btn-sm btn-outline-primary';
+		// (an action whose key was given to another one is left unbound)
+		if (rebinding === id) btn.textContent = 'Press a key…';
+		else btn.textContent = controls[id].length ? controls[id].map(keyLabel).join(' / ') : 'Not set';
+		btn.setAttribute('aria-label', `${label}: ${btn.textContent}. Click to change`);
+		btn.addEventListener('click', () => {
+			playSound('click', { force: !muted });
+			rebinding = id;
+			renderControls();
+		});
+		row.appendChild(name);
+		row.appendChild(btn);
+		controlsList.appendChild(row);
+	});
+}
+
+// While rebinding, the next key press is captured here before the game sees it
+window.addEventListener('keydown', (e) => {
+	if (!rebinding) return;
+	e.preventDefault();
+	e.stopPropagation();
+	if (e.code !== 'Escape') bindControl(rebinding, e.code);
+	rebinding = null;
+	renderControls();
+}, true);
+
+if (controlsBtn && controlsScreen) {
+	controlsBtn.addEventListener('click', () => {
+		playSound('click', { force: !muted });
+		startScreen.classList.add('hidden');
+		rebinding = null;
+		renderControls();
+		updateGamepadStatus();
+		controlsScreen.classList.remove('hidden');
+	});
+}
+if (controlsResetBtn) {
+	controlsResetBtn.addEventListener('click', () => {
+		playSound('click', { force: !muted });
+		rebinding = null;
+		resetControls();
+		renderControls();
+	});
+}
+if (controlsBackBtn) {
+	controlsBackBtn.addEventListener('click', () => {
+		playSound('click', { force: !muted });
+		rebinding = null;
+		showStartScreen();
+	});
+}
+
+/* =====================
+   Controls: gamepads
+   Any controller the Gamepad API reports works (the event booth's arcade buttons
+   show up as one). Pads are polled once per frame in gameLoop while a run is
+   playing, and by a small idle loop on the menus and while paused.
+   - face buttons (A/B/X/Y, the first four buttons) jump, or press the focused menu button
+   - d-pad / left stick down ducks; on menus the d-pad and stick move the focus
+   - Start pauses and resumes (and presses the focused menu button too)
+======================*/
+
+const GAMEPAD_JUMP_BUTTONS = [0, 1, 2, 3];
+const GAMEPAD_START = 9;
+const GAMEPAD_DPAD = { up: 12, down: 13, left: 14, right: 15 };
+const GAMEPAD_DEADZONE = 0.5; // how far the stick must lean to count as a press
+const padsHeld = {}; // pad index -> what it held at the last poll (to spot presses and releases)
+let gamepadIdle = false; // idle polling loop is running
+
+function connectedPads() {
+	if (!navigator.getGamepads) return [];
+	return Array.from(navigator.getGamepads()).filter(Boolean);
+}
+
+/* What a pad is holding right now, as simple named directions/buttons */
+function readPad(pad) {
+	const held = (i) => !!(pad.buttons[i] && pad.buttons[i].pressed);
+	const x = pad.axes[0] || 0;
+	const y = pad.axes[1] || 0;
+	return {
+		jump: GAMEPAD_JUMP_BUTTONS.some(held),
+		start: held(GAMEPAD_START),
+		up: held(GAMEPAD_DPAD.up) || y < -GAMEPAD_DEADZONE,
+		down: held(GAMEPAD_DPAD.down) || y > GAMEPAD_DEADZONE,
+		left: held(GAMEPAD_DPAD.left) || x < -GAMEPAD_DEADZONE,
+		right: held(GAMEPAD_DPAD.right) || x > GAMEPAD_DEADZONE
+	};
+}
+
+/* Read every pad and act on what changed since the last poll */
+function pollGamepads() {
+	connectedPads().forEach(pad => {
+		const now = readPad(pad);
+		const before = padsHeld[pad.index] || {};
+		padsHeld[pad.index] = now;
+		const pressed = (name) => now[name] && !before[name];
+		const released = (name) => !now[name] && before[name];
+		handlePadInput(pressed, released);
+	});
+}
+
+function handlePadInput(pressed, released) {
+	// replays only listen for play/pause
+	if (replay) {
+		if (pressed('start') || pressed('jump')) toggleReplayPlaying();
+		return;
+	}
+	if (running) {
+		if (pressed('start') && pauseBtn) pauseBtn.click();
+		if (paused) return;
+		if (pressed('jump')) jump();
+		if (released('jump')) releaseJump();
+		if (pressed('down')) duck();
+		if (released('down')) releaseDuck();
+		return;
+	}
+	// menus
+	if (pressed('up') || pressed('left')) moveMenuFocus(-1);
+	if (pressed('down') || pressed('right')) moveMenuFocus(1);
+	if (pressed('jump') || pressed('start')) pressMenuButton();
+}
+
+/* The menu screen on show and the controls on it a pad can reach */
+function visibleMenu() {
+	const screen = Array.from(document.querySelectorAll('.screen')).find(s => !s.classList.contains('hidden'));
+	if (!screen) return null;
+	const items = Array.from(screen.querySelectorAll('button, a[href], select, input:not([type="file"])'))
+		.filter(el => !el.disabled && !el.closest('.hidden'));
+	return { screen, items };
+}
+
+function moveMenuFocus(direction) {
+	const menu = visibleMenu();
+	if (!menu || !menu.items.length) return;
+	const current = menu.items.indexOf(document.activeElement);
+	const next = (current === -1)
+		? (direction > 0 ? 0 : menu.items.length - 1)
+		: (current + direction + menu.items.length) % menu.items.length;
+	menu.items[next].focus();
+}
+
+/* Press the focused control; with nothing focused, Start / Play Again */
+function pressMenuButton() {
+	const menu = visibleMenu();
+	if (!menu) return;
+	if (menu.items.includes(document.activeElement)) {
+		document.activeElement.click();
+		return;
+	}
+	if (menu.screen === startScreen) startBtn.click();
+	else if (menu.screen === gameOverScreen) playAgainBtn.click();
+	else moveMenuFocus(1);
+}
+
+/* Poll pads while gameLoop isn't running (menus, pause); stops once play resumes or the pads go */
+function startGamepadIdle() {
+	if (gamepadIdle || !connectedPads().length) return;
+	gamepadIdle = true;
+	requestAnimationFrame(gamepadIdleLoop);
+}
+
+function gamepadIdleLoop() {
+	if ((running && !paused) || !connectedPads().length) {
+		gamepadIdle = false;
+		return;
+	}
+	pollGamepads();
+	requestAnimationFrame(gamepadIdleLoop);
+}
+
+function updateGamepadStatus() {
+	if (!gamepadStatus) return;
+	const pads = connectedPads();
+	gamepadStatus.textContent = pads.length
+		? `Gamepad connected: ${pads.map(p => p.id).join(', ')}`
+		: 'No gamepad found. Press a button on it to connect.';
+}
+
+window.addEventListener('gamepadconnected', () => {
+	updateGamepadStatus();
+	startGamepadIdle();
+});
+window.addEventListener('gamepaddisconnected', (e) => {
+	delete padsHeld[e.gamepad.index];
+	updateGamepadStatus();
+});
+
+/* =====================
+   Run recording & replay
+   =====================
+   A recording holds everything needed to rebuild a run exactly: the seed, the
+   difficulty, the number of fixed simulation steps (ticks) and a log of inputs
+   (jump, jumpRelease, duck, duckRelease, pause, resume, reset) stamped with the tick they were applied on.
+   Replaying feeds the same inputs back through game.step()/drawGame() one
+   SIM_STEP at a time, so the run plays out identically. */
+
+const REPLAY_VERSION = 10;
+let recording = null; // live run being recorded (null when not recording)
+let replay = null;    // active replay state (null when playing normally)
+
+// Replay UI elements
+const replayControls = document.getElementById('replay-controls');
+const replayPlayBtn = document.getElementById('replay-play-btn');
+const replaySpeedSelect = document.getElementById('replay-speed');
+const replayScrub = document.getElementById('replay-scrub');
+const replayTimeEl = document.getElementById('replay-time');
+const replayExitBtn = document.getElementById('replay-exit-btn');
+const watchReplayBtn = document.getElementById('watch-replay-btn');
+const saveReplayBtn = document.getElementById('save-replay-btn');
+const loadReplayBtn = document.getElementById('load-replay-btn');
+const replayFileInput = document.getElementById('replay-file');
+
+/* Begin recording a new live run (called from initGame after the seed is chosen) */
+function startRecording() {
+	recording = {
+		version: REPLAY_VERSION,
+		seed: game.state.seed,
+		difficulty: game.state.difficulty,
+		level: game.state.level,  // campaign stage (null for endless), stored whole so the replay survives level edits
+		startedAt: new Date().toISOString(),
+		ticks: 0,    // fixed simulation steps run so far
+		inputs: []   // { tick, t, type } where t is ms since the run started
+	};
+	recording.startTime = performance.now();
+}
+
+/* Log an input. `tick` is the next step to run, so the input is applied on it. */
+function recordInput(type) {
+	if (!recording || !running || replay) return;
+	recording.inputs.push({
+		tick: recording.ticks,
+		t: Math.round(performance.now() - recording.startTime),
+		type
+	});
+}
+
+/* Stop recording and keep the run in localStorage as the "last run" */
+function finishRecording() {
+	if (!recording) return;
+	const log = {
+		version: recording.version,
+		seed: recording.seed,
+		difficulty: recording.difficulty,
+		level: recording.level,
+		startedAt: recording.startedAt,
+		finalScore: game ? game.state.score : 0,
+		ticks: recording.ticks,
+		inputs: recording.inputs
+	};
+	recording = null;
+	try {
+		localStorage.setItem('cdr-last-replay', JSON.stringify(log));
+	} catch (e) {
+		// storage may be full or unavailable; the download button still works from memory
+	}
+	lastReplay = log;
+	if (watchReplayBtn) watchReplayBtn.disabled = false;
+	if (saveReplayBtn) saveReplayBtn.disabled = false;
+}
+
+/* Most recent finished run (loaded from localStorage on start if present) */
+let lastReplay = loadStoredReplay();
+
+function loadStoredReplay() {
+	try {
+		const raw = localStorage.getItem('cdr-last-replay');
+		return raw ? parseReplay(raw) : null;
+	} catch (e) {
+		return null;
+	}
+}
+
+/* Parse and validate a replay JSON string. Returns null when it isn't a usable replay
+   (including replays from older versions of the game, which used variable steps
+   or didn't record jump releases and ducks). */
+function parseReplay(text) {
+	let log;
+	try {
+		log = JSON.parse(text);
+	} catch (e) {
+		return null;
+	}
+	if (!log || log.version !== REPLAY_VERSION) return null;
+	if (!Number.isInteger(log.seed) || typeof log.difficulty !== 'string') return null;
+	if (!Number.isInteger(log.ticks) || !Array.isArray(log.inputs)) return null;
+	if (log.level !== undefined && log.level !== null) {
+		try {
+			normalizeLevel(log.level);
+		} catch (e) {
+			return null;
+		}
+	}
+	return log;
+}
+
+/* Start watching a replay log */
+function startReplay(log) {
+	if (!log) return;
+	// remember which screen to return to when the replay closes
+	const returnTo = gameOverScreen.classList.contains('hidden') ? startScreen : gameOverScreen;
+	running = false;
+	paused = false;
+	audioEnabled = !muted;
+
+	replay = {
+		log,
+		tick: 0,         // index of the next step to simulate
+		inputIndex: 0,   // index of the next input to apply
+		clock: 0,        // playback position in run seconds
+		speed: 1,
+		playing: true,
+		silent: false,
+		lastTime: performance.now(),
+		returnTo
+	};
+
+	resetRunState(log.seed, log.difficulty, log.level || null);
+	initDecor();
+
+	startScreen.classList.add('hidden');
+	gameOverScreen.classList.add('hidden');
+	gameArea.classList.remove('hidden');
+	gameArea.classList.add('replaying');
+	if (replayControls) replayControls.classList.remove('hidden');
+	if (replayScrub) {
+		replayScrub.max = `${log.ticks}`;
+		replayScrub.value = '0';
+	}
+	if (replaySpeedSelect) replaySpeedSelect.value = '1';
+	updateReplayUI();
+	requestAnimationFrame(replayLoop);
+}
+
+/* Simulate one recorded step: apply its inputs, then step the game */
+function stepReplayTick() {
+	const { log } = replay;
+	const inputs = { jump: false, jumpRelease: false };
+	while (replay.inputIndex < log.inputs.length && log.inputs[replay.inputIndex].tick <= replay.tick) {
+		const input = log.inputs[replay.inputIndex];
+		if (input.type === 'jump') inputs.jump = true;
+		if (input.type === 'jumpRelease') inputs.jumpRelease = true;
+		if (input.type === 'duck') inputs.duck = true;
+		if (input.type === 'duckRelease') inputs.duckRelease = true;
+		replay.inputIndex++;
+	}
+	game.step(SIM_STEP, inputs);
+	// skip particle work while seeking; it's cleared afterwards anyway
+	if (!replay.silent) updateVisuals(SIM_STEP);
+	replay.tick++;
+}
+
+/* Jump to any step by re-running the simulation from the start without drawing */
+function seekReplay(targetTick) {
+	if (!replay) return;
+	const { log } = replay;
+	const target = Math.max(0, Math.min(log.ticks, targetTick));
+	// going backwards means starting over; going forwards continues from here
+	if (target < replay.tick) {
+		resetRunState(log.seed, log.difficulty, log.level || null);
+		replay.tick = 0;
+		replay.inputIndex = 0;
+	}
+	replay.silent = true;
+	while (replay.tick < target) stepReplayTick();
+	replay.silent = false;
+	replay.clock = replay.tick * SIM_STEP;
+	// effects from skipped steps shouldn't linger on screen
+	confettiParticles = [];
+	speedLines = [];
+	filterAura.active = false;
+}
+
+/* Replay loop: advance recorded steps to match the playback clock, then draw */
+function replayLoop(timestamp) {
+	if (!replay) return;
+	const elapsed = Math.min(0.25, Math.max(0, (timestamp - replay.lastTime) / 1000));
+	replay.lastTime = timestamp;
+	const total = replay.log.ticks;
+
+	if (replay.playing) {
+		replay.clock += elapsed * replay.speed;
+		// run every recorded step whose end time has been reached
+		while (replay.tick < total && (replay.tick + 1) * SIM_STEP <= replay.clock) {
+			stepReplayTick();
+		}
+		if (replay.tick >= total) replay.playing = false;
+	}
+
+	// blend between steps the same way the live loop does
+	const alpha = replay.tick >= total ? 1 : Math.min(1, Math.max(0, (replay.clock - replay.tick * SIM_STEP) / SIM_STEP));
+	updateCamera(elapsed);
+	renderFrame(alpha);
+	updateReplayUI();
+	requestAnimationFrame(replayLoop);
+}
+
+/* Format seconds as m:ss for the replay timeline */
+function formatReplayTime(seconds) {
+	const m = Math.floor(seconds / 60);
+	const sec = Math.floor(seconds % 60);
+	return `${m}:${sec < 10 ? '0' : ''}${sec}`;
+}
+
+/* Keep the replay bar in sync with playback */
+function updateReplayUI() {
+	if (!replay) return;
+	const total = replay.log.ticks * SIM_STEP;
+	if (replayPlayBtn) replayPlayBtn.textContent = replay.playing ? 'Pause' : 'Play';
+	if (replayScrub && document.activeElement !== replayScrub) replayScrub.value = `${replay.tick}`;
+	if (replayTimeEl) replayTimeEl.textContent = `${formatReplayTime(replay.tick * SIM_STEP)} / ${formatReplayTime(total)}`;
+}
+
+function toggleReplayPlaying() {
+	if (!replay) return;
+	// pressing play at the end restarts from the beginning
+	if (!replay.playing && replay.tick >= replay.log.ticks) seekReplay(0);
+	replay.playing = !replay.playing;
+	replay.lastTime = performance.now();
+	updateReplayUI();
+}
+
+/* Leave the replay and go back to the screen we came from */
+function exitReplay() {
+	if (!replay) return;
+	const returnTo = replay.returnTo;
+	replay = null;
+	running = false;
+	stopAllAudio();
+	gameArea.classList.remove('replaying');
+	if (replayControls) replayControls.classList.add('hidden');
+	gameArea.classList.add('hidden');
+	returnTo.classList.remove('hidden');
+	if (difficultyDisplay) difficultyDisplay.textContent = `Diff: ${currentDifficulty}`;
+}
+
+/* Download a replay as a JSON file */
+function downloadReplay(log) {
+	if (!log) return;
+	const blob = new Blob([JSON.stringify(log)], { type: 'application/json' });
+	const url = URL.createObjectURL(blob);
+	const a = document.createElement('a');
+	a.href = url;
+	a.download = `clean-drop-replay-${log.seed}.json`;
+	document.body.appendChild(a);
+	a.click();
+	a.remove();
+	URL.revokeObjectURL(url);
+}
+
+// Replay bar controls
+if (replayPlayBtn) replayPlayBtn.addEventListener('click', toggleReplayPlaying);
+if (replaySpeedSelect) {
+	replaySpeedSelect.addEventListener('change', () => {
+		if (replay) replay.speed = Number(replaySpeedSelect.value) || 1;
+	});
+}
+if (replayScrub) {
+	replayScrub.addEventListener('input', () => {
+		seekReplay(Number(replayScrub.value));
+		updateReplayUI();
+	});
+}
+if (replayExitBtn) replayExitBtn.addEventListener('click', exitReplay);
+
+// Game over / start screen buttons
+if (watchReplayBtn) {
+	watchReplayBtn.disabled = !lastReplay;
+	watchReplayBtn.addEventListener('click', () => {
+		playSound('click');
+		startReplay(lastReplay);
+	});
+}
+if (saveReplayBtn) {
+	saveReplayBtn.disabled = !lastReplay;
+	saveReplayBtn.addEventListener('click', () => downloadReplay(lastReplay));
+}
+if (loadReplayBtn && replayFileInput) {
+	loadReplayBtn.addEventListener('click', () => replayFileInput.click());
+	replayFileInput.addEventListener('change', () => {
+		const file = replayFileInput.files && replayFileInput.files[0];
+		if (!file) return;
+		file.text().then(text => {
+			const log = parseReplay(text);
+			if (!log) {
+				alert('That file is not a Clean Drop Runner replay.');
+				return;
+			}
+			startReplay(log);
+		});
+		// allow loading the same file again later
+		replayFileInput.value = '';
+	});
+}
+
+/* ===========
+   Leaderboard
+   ===========
+   A top-10 table per difficulty saved in localStorage under 'cdr-leaderboard':
+   { Easy: [entry, ...], Normal: [...], Hard: [...] }
+   where each entry is { initials, score, duration (seconds), date (ISO string), seed }. */
+
+const LEADERBOARD_KEY = 'cdr-leaderboard';
+const LEADERBOARD_SIZE = 10;
+const DIFFICULTIES = ['Easy', 'Normal', 'Hard'];
+
+// Leaderboard UI elements
+const leaderboardScreen = document.getElementById('leaderboard-screen');
+const leaderboardBtn = document.getElementById('leaderboard-btn');
+const leaderboardBackBtn = document.getElementById('leaderboard-back-btn');
+const leaderboardTabs = document.querySelectorAll('#leaderboard-tabs button');
+const leaderboardBody = document.getElementById('leaderboard-body');
+const leaderboardEntry = document.getElementById('leaderboard-entry');
+const leaderboardForm = document.getElementById('leaderboard-form');
+const initialsInput = document.getElementById('initials-input');
+const leaderboardEntryMsg = document.getElementById('leaderboard-entry-msg');
+
+let leaderboards = loadLeaderboards();
+let pendingEntry = null; // qualifying run waiting for initials on the game over screen
+
+/* Read the leaderboards, migrating the old single 'cdr-highscore' number on first load.
+   The old record didn't say which difficulty it came from, so it goes to the last
+   difficulty the player had selected. */
+function loadLeaderboards() {
+	let boards = null;
+	try {
+		boards = JSON.parse(localStorage.getItem(LEADERBOARD_KEY));
+	} catch (e) {
+		boards = null;
+	}
+	if (!boards || typeof boards !== 'object') boards = {};
+	DIFFICULTIES.forEach(d => { if (!Array.isArray(boards[d])) boards[d] = []; });
+
+	const legacy = Number(localStorage.getItem('cdr-highscore'));
+	if (legacy > 0) {
+		const target = DIFFICULTIES.includes(currentDifficulty) ? currentDifficulty : 'Normal';
+		boards[target].push({ initials: '---', score: legacy, duration: null, date: null, seed: null });
+		sortBoard(boards[target]);
+		localStorage.setItem(LEADERBOARD_KEY, JSON.stringify(boards));
+		localStorage.removeItem('cdr-highscore');
+	}
+	return boards;
+}
+
+function saveLeaderboards() {
+	localStorage.setItem(LEADERBOARD_KEY, JSON.stringify(leaderboards));
+}
+
+/* Highest score first; ties keep the older entry on top. Trims to the top 10. */
+function sortBoard(board) {
+	board.sort((a, b) => b.score - a.score);
+	board.length = Math.min(board.length, LEADERBOARD_SIZE);
+}
+
+function getBestScore(difficulty) {
+	const board = leaderboards[difficulty];
+	return board && board.length ? board[0].score : 0;
+}
+
+/* Does this score earn a place in the difficulty's top 10? */
+function qualifiesForLeaderboard(difficulty, score) {
+	const board = leaderboards[difficulty];
+	if (!board || score <= 0) return false;
+	return board.length < LEADERBOARD_SIZE || score > board[board.length - 1].score;
+}
+
+/* Add an entry and return it (or null if it didn't make the table) */
+function addLeaderboardEntry(difficulty, entry) {
+	const board = leaderboards[difficulty];
+	board.push(entry);
+	sortBoard(board);
+	saveLeaderboards();
+	return board.includes(entry) ? entry : null;
+}
+
+/* Game over: show the initials prompt if the run qualifies */
+function showLeaderboardPrompt(state) {
+	pendingEntry = null;
+	if (!leaderboardEntry) return;
+	if (!qualifiesForLeaderboard(state.difficulty, state.score)) {
+		leaderboardEntry.classList.add('hidden');
+		return;
+	}
+	pendingEntry = {
+		difficulty: state.difficulty,
+		score: state.score,
+		duration: Math.round(state.time),
+		seed: state.seed
+	};
+	const isBest = state.score > getBestScore(state.difficulty);
+	leaderboardEntryMsg.textContent = isBest
+		? `New ${state.difficulty} record! Enter your initials:`
+		: `You made the ${state.difficulty} top ${LEADERBOARD_SIZE}! Enter your initials:`;
+	initialsInput.value = localStorage.getItem('cdr-initials') || '';
+	leaderboardForm.classList.remove('hidden');
+	leaderboardEntry.classList.remove('hidden');
+	initialsInput.focus();
+}
+
+/* Keep initials to 3 letters/digits, upper case */
+function cleanInitials(text) {
+	return (text || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3) || '???';
+}
+
+/* Format a duration in seconds as m:ss (blank for migrated entries) */
+function formatDuration(seconds) {
+	if (seconds === null || seconds === undefined) return '–';
+	const m = Math.floor(seconds / 60);
+	const sec = Math.floor(seconds % 60);
+	return `${m}:${sec < 10 ? '0' : ''}${sec}`;
+}
+
+/* Fill the leaderboard table for one difficulty. `highlight` marks a just-added entry. */
+function renderLeaderboard(difficulty, highlight) {
+	if (!leaderboardBody) return;
+	leaderboardTabs.forEach(tab => {
+		const active = tab.dataset.difficulty === difficulty;
+		tab.classList.toggle('active', active);
+		tab.setAttribute('aria-selected', String(active));
+	});
+	leaderboardBody.innerHTML = '';
+	const board = leaderboards[difficulty] || [];
+	if (board.length === 0) {
+		const row = document.createElement('tr');
+		row.innerHTML = `<td colspan="6">No scores yet — be the first!</td>`;
+		leaderboardBody.appendChild(row);
+		return;
+	}
+	board.forEach((entry, i) => {
+		const row = document.createElement('tr');
+		if (entry === highlight) row.classList.add('leaderboard-new');
+		const date = entry.date ? new Date(entry.date).toLocaleDateString() : '–';
+		// build cells with textContent so stored initials can't inject HTML
+		[`${i + 1}`, entry.initials, `${entry.score}`, formatDuration(entry.duration), date, entry.seed ? `${entry.seed}` : '–']
+			.forEach(text => {
+				const cell = document.createElement('td');
+				cell.textContent = text;
+				row.appendChild(cell);
+			});
+		leaderboardBody.appendChild(row);
+	});
+}
+
+/* Open the leaderboard screen (from the start screen) */
+function showLeaderboardScreen(difficulty, highlight) {
+	startScreen.classList.add('hidden');
+	gameOverScreen.classList.add('hidden');
+	leaderboardScreen.classList.remove('hidden');
+	renderLeaderboard(difficulty, highlight);
+}
+
+if (leaderboardBtn && leaderboardScreen) {
+	leaderboardBtn.addEventListener('click', () => {
+		playSound('click', { force: !muted });
+		showLeaderboardScreen(currentDifficulty);
+	});
+}
+if (leaderboardBackBtn) {
+	leaderboardBackBtn.addEventListener('click', () => {
+		playSound('click', { force: !muted });
+		showStartScreen();
+	});
+}
+leaderboardTabs.forEach(tab => {
+	tab.addEventListener('click', () => renderLeaderboard(tab.dataset.difficulty));
+});
+
+if (leaderboardForm) {
+	leaderboardForm.addEventListener('submit', (e) => {
+		e.preventDefault();
+		if (!pendingEntry) return;
+		const initials = cleanInitials(initialsInput.value);
+		localStorage.setItem('cdr-initials', initials);
+		const entry = addLeaderboardEntry(pendingEntry.difficulty, {
+			initials,
+			score: pendingEntry.score,
+			duration: pendingEntry.duration,
+			date: new Date().toISOString(),
+			seed: pendingEntry.seed
+		});
+		const difficulty = pendingEntry.difficulty;
+		pendingEntry = null;
+		leaderboardForm.classList.add('hidden');
+		leaderboardEntryMsg.textContent = 'Saved!';
+		playSound('click', { force: !muted });
+		showLeaderboardScreen(difficulty, entry);
+	});
+}
+
+/* ===============
+   Campaign stages
+   ===============
+   Hand-designed stages live in levels/*.json (format described in game-core.js) and
+   are listed, in play order, in levels/index.json. A stage unlocks once the one
+   before it is completed. Best score and stars per stage are saved in localStorage
+   under 'cdr-campaign' as { stageId: { best, stars, completed } }. */
+
+const CAMPAIGN_KEY = 'cdr-campaign';
+const CAMPAIGN_INDEX = 'levels/index.json';
+
+let campaignLevels = [];  // loaded stage objects, in play order
+let currentLevel = null;  // stage being played (null = endless mode)
+// level editor test play: called to return to the editor when the run ends.
+// While set, the run isn't recorded and doesn't count toward stats, bests or achievements.
+let testPlayReturn = null;
+
+// Campaign UI elements
+const stageList = document.getElementById('stage-list');
+const stageResultEl = document.getElementById('stage-result');
+
+/* Fetch the stage list and every stage file. Needs the game to be served over http
+   (for example with Live Server); opened straight from disk the campaign stays hidden. */
+function fetchJson(url) {
+	return fetch(url).then(res => {
+		if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+		return res.json();
+	});
+}
+
+function loadCampaign() {
+	return fetchJson(CAMPAIGN_INDEX)
+		.then(index => Promise.all(index.stages.map(file => fetchJson(`levels/${file}`).then(normalizeLevel))))
+		.then(levels => {
+			campaignLevels = levels;
+			renderStageSelect();
+		})
+		.catch(err => {
+			console.warn('Campaign levels could not be loaded:', err);
+			campaignLevels = [];
+			renderStageSelect();
+		});
+}
+
+function loadCampaignProgress() {
+	try {
+		const saved = JSON.parse(localStorage.getItem(CAMPAIGN_KEY));
+		if (saved && typeof saved === 'object') return saved;
+	} catch (e) {
+		// corrupt progress: start the campaign over
+	}
+	return {};
+}
+
+/* Saved progress for one stage (zeros when it hasn't been played) */
+function getStageProgress(id) {
+	return Object.assign({ best: 0, stars: 0, completed: false }, loadCampaignProgress()[id]);
+}
+
+/* Save a finished stage run; returns { stars, best, newBest } for the results screen */
+function recordStageResult(state) {
+	const progress = loadCampaignProgress();
+	const prev = getStageProgress(state.level.id);
+	const stars = levelStars(state.level, state.score, state.completed);
+	progress[state.level.id] = {
+		best: Math.max(prev.best, state.score),
+		stars: Math.max(prev.stars, stars),
+		completed: prev.completed || state.completed
+	};
+	localStorage.setItem(CAMPAIGN_KEY, JSON.stringify(progress));
+	return { completed: state.completed, stars, best: progress[state.level.id].best, newBest: state.score > prev.best };
+}
+
+/* Star string like ★★☆ */
+function starText(count, total = 3) {
+	return '★'.repeat(count) + '☆'.repeat(Math.max(0, total - count));
+}
+
+/* Stage results line on the game over screen (hidden for endless runs) */
+function showStageResult(result) {
+	if (!stageResultEl) return;
+	if (!result) {
+		stageResultEl.classList.add('hidden');
+		return;
+	}
+	stageResultEl.textContent = result.completed
+		? `${starText(result.stars)}${result.newBest ? ' · New stage best!' : ''}`
+		: `Stage failed · Best: ${result.best}`;
+	stageResultEl.classList.remove('hidden');
+}
+
+/* Stage buttons on the start screen: name, stars and best score */
+function renderStageSelect() {
+	if (!stageList) return;
+	const section = document.getElementById('stage-select');
+	if (section) section.classList.toggle('hidden', campaignLevels.length === 0);
+	stageList.innerHTML = '';
+	campaignLevels.forEach((level, i) => {
+		const progress = getStageProgress(level.id);
+		const unlocked = i === 0 || getStageProgress(campaignLevels[i - 1].id).completed;
+		const btn = document.createElement('button');
+		btn.type = 'button';
+		btn.className = 'btn btn-sm btn-outline-primary stage-btn';
+		btn.disabled = !unlocked;
+		btn.title = level.description || '';
+		btn.innerHTML = `<span class="stage-name"></span><span class="stage-stars"></span><span class="stage-best"></span>`;
+		btn.querySelector('.stage-name').textContent = `${i + 1}. ${level.name}`;
+		btn.querySelector('.stage-stars').textContent = unlocked ? starText(progress.stars, level.stars.length || 3) : '🔒';
+		btn.querySelector('.stage-best').textContent = progress.best ? `Best: ${progress.best}` : '';
+		btn.addEventListener('click', () => startStage(level));
+		stageList.appendChild(btn);
+	});
+}
+
+/* Start a campaign stage from the start screen */
+function startStage(level) {
+	currentLevel = level;
+	audioEnabled = !muted;
+	playSound('click');
+	startScreen.classList.add('hidden');
+	gameOverScreen.classList.add('hidden');
+	gameArea.classList.remove('hidden');
+	initGame();
+}
+
+/* Test-play a level from the editor; onReturn() runs when the run ends or is reset */
+function startTestPlay(level, onReturn) {
+	testPlayReturn = onReturn;
+	startStage(normalizeLevel(level));
+}
+
+/* Leave an editor test play */
+function finishTestPlay() {
+	const back = testPlayReturn;
+	testPlayReturn = null;
+	currentLevel = null;
+	running = false;
+	gameArea.classList.add('hidden');
+	if (back) back();
+}
+
+loadCampaign();
+
+/* ===============
+   Lifetime statistics
+   ===============
+   Cumulative stats across every session, saved in localStorage under 'cdr-stats'.
+   attachStats() tallies the current run from gameplay events; commitRunStats()
+   folds that tally into the lifetime totals when the run ends (game over or reset). */
+
+const STATS_KEY = 'cdr-stats';
+
+// Stats UI elements
+const statsScreen = document.getElementById('stats-screen');
+const statsBtn = document.getElementById('stats-btn');
+const statsBackBtn = document.getElementById('stats-back-btn');
+const statsList = document.getElementById('stats-list');
+
+/* A fresh, all-zero stats object */
+function createEmptyStats() {
+	return {
+		runsPlayed: 0,
+		timeSurvived: 0,     // seconds
+		barrelsStomped: 0,
+		hitsTaken: 0,
+		collectibles: 0,
+		deliveries: 0,       // full (or part-spilled) jerry cans handed over at villages
+		jerryCans: { life: 0, score: 0, filter: 0, pump: 0, magnet: 0, shield: 0, slowmo: 0, doubler: 0, confetti: 0 },
+		powerups: { filter: 0, pump: 0, well: 0, magnet: 0, shield: 0, slowmo: 0, doubler: 0 },
+		bestRuns: { Easy: null, Normal: null, Hard: null } // { score, time, date }
+	};
+}
+
+/* Load saved stats, filling in any fields added since they were saved */
+function loadStats() {
+	const stats = createEmptyStats();
+	try {
+		const saved = JSON.parse(localStorage.getItem(STATS_KEY));
+		if (saved && typeof saved === 'object') {
+			Object.keys(stats).forEach(key => {
+				if (saved[key] === undefined) return;
+				if (typeof stats[key] === 'object') Object.assign(stats[key], saved[key]);
+				else stats[key] = saved[key];
+			});
+		}
+	} catch (e) {
+		// corrupt stats: start over rather than break the game
+	}
+	return stats;
+}
+
+let lifetimeStats = loadStats();
+let runStats = null; // tally for the run in progress (null when no run is counting)
+
+/* Count the current run's events */
+function attachStats(g) {
+	runStats = createEmptyStats();
+	g.on(GameEvents.STOMP, () => { runStats.barrelsStomped++; });
+	g.on(GameEvents.LIFE_LOST, () => { runStats.hitsTaken++; });
+	// falling into a gap ends the run without a LIFE_LOST, but it's still a hit
+	g.on(GameEvents.FELL, () => { runStats.hitsTaken++; });
+	g.on(GameEvents.COLLECT, () => { runStats.collectibles++; });
+	g.on(GameEvents.DELIVERY, () => { runStats.deliveries++; });
+	g.on(GameEvents.JERRY, (e) => { runStats.jerryCans[e.bonus] = (runStats.jerryCans[e.bonus] || 0) + 1; });
+	g.on(GameEvents.POWERUP_COLLECTED, (e) => { runStats.powerups[e.power] = (runStats.powerups[e.power] || 0) + 1; });
+}
+
+/* Add the finished run to the lifetime totals and save */
+function commitRunStats(state) {
+	if (!runStats) return;
+	const s = lifetimeStats;
+	s.runsPlayed++;
+	s.timeSurvived += state.time;
+	s.barrelsStomped += runStats.barrelsStomped;
+	s.hitsTaken += runStats.hitsTaken;
+	s.collectibles += runStats.collectibles;
+	s.deliveries += runStats.deliveries;
+	Object.keys(runStats.jerryCans).forEach(k => { s.jerryCans[k] = (s.jerryCans[k] || 0) + runStats.jerryCans[k]; });
+	Object.keys(runStats.powerups).forEach(k => { s.powerups[k] = (s.powerups[k] || 0) + runStats.powerups[k]; });
+	// best runs are an endless-mode record; campaign stages keep their own bests
+	const best = s.bestRuns[state.difficulty];
+	if (!state.level && (!best || state.score > best.score)) {
+		s.bestRuns[state.difficulty] = { score: state.score, time: Math.round(state.time), date: new Date().toISOString() };
+	}
+	runStats = null;
+	localStorage.setItem(STATS_KEY, JSON.stringify(s));
+}
+
+/* Fill the stats screen */
+function renderStats() {
+	if (!statsList) return;
+	const s = lifetimeStats;
+	const hours = Math.floor(s.timeSurvived / 3600);
+	const rows = [
+		['Runs played', `${s.runsPlayed}`],
+		['Time survived', `${hours > 0 ? `${hours}h ` : ''}${formatDuration(s.timeSurvived % 3600)}`],
+		['Barrels stomped', `${s.barrelsStomped}`],
+		['Hits taken', `${s.hitsTaken}`],
+		['Clean drops collected', `${s.collectibles}`],
+		['Water deliveries', `${s.deliveries}`],
+		['Jerry cans opened', `${Object.values(s.jerryCans).reduce((a, b) => a + b, 0)}`],
+		['· +1 life / points / filter / pump / magnet / shield / slow-mo / x2 / confetti', `${s.jerryCans.life} / ${s.jerryCans.score} / ${s.jerryCans.filter} / ${s.jerryCans.pump} / ${s.jerryCans.magnet} / ${s.jerryCans.shield} / ${s.jerryCans.slowmo} / ${s.jerryCans.doubler} / ${s.jerryCans.confetti}`],
+		['Filters collected', `${s.powerups.filter}`],
+		['Pumps collected', `${s.powerups.pump}`],
+		['Wells collected', `${s.powerups.well}`],
+		['Magnets collected', `${s.powerups.magnet}`],
+		['Shields collected', `${s.powerups.shield}`],
+		['Slow-mos collected', `${s.powerups.slowmo}`],
+		['Score doublers collected', `${s.powerups.doubler}`]
+	];
+	DIFFICULTIES.forEach(d => {
+		const best = s.bestRuns[d];
+		rows.push([`Best run (${d})`, best ? `${best.score} pts in ${formatDuration(best.time)}` : '–']);
+	});
+	statsList.innerHTML = '';
+	rows.forEach(([label, value]) => {
+		const dt = document.createElement('dt');
+		dt.textContent = label;
+		const dd = document.createElement('dd');
+		dd.textContent = value;
+		statsList.appendChild(dt);
+		statsList.appendChild(dd);
+	});
+}
+
+if (statsBtn && statsScreen) {
+	statsBtn.addEventListener('click', () => {
+		playSound('click', { force: !muted });
+		startScreen.classList.add('hidden');
+		renderStats();
+		renderAchievements();
+		statsScreen.classList.remove('hidden');
+	});
+}
+if (statsBackBtn) {
+	statsBackBtn.addEventListener('click', () => {
+		playSound('click', { force: !muted });
+		showStartScreen();
+	});
+}
+
+/* ============
+   Achievements
+   ============
+   A data-driven catalogue of long-term goals. Each entry's test() looks at the
+   current run's tally (see attachAchievements), the live game state and the
+   lifetime stats; once it returns true the achievement is unlocked for good
+   and saved in localStorage under 'cdr-achievements' as { id: unlockedAtISO }. */
+
+const ACHIEVEMENTS_KEY = 'cdr-achievements';
+
+const ACHIEVEMENTS = [
+	{ id: 'first-stomp', title: 'Barrel Buster', description: 'Stomp your first barrel',
+		test: (run) => run.stomps >= 1 },
+	{ id: 'stomp-chain-5', title: 'Sky Walker', description: 'Stomp 5 barrels without landing',
+		test: (run) => run.bestStompChain >= 5 },
+	{ id: 'jerry-3', title: 'Can Collector', description: 'Open 3 jerry cans in one run',
+		test: (run) => run.jerryCans >= 3 },
+	{ id: 'all-powerups', title: 'Fully Equipped', description: 'Collect a filter, a pump and a well in one run',
+		test: (run) => ['filter', 'pump', 'well'].every(p => run.powerups.has(p)) },
+	{ id: 'clean-60', title: 'Spotless', description: 'Survive 60s without taking a hit',
+		test: (run, state) => run.hits === 0 && state.time >= 60 },
+	{ id: 'survive-120', title: 'Long Haul', description: 'Survive 2 minutes in one run',
+		test: (run, state) => state.time >= 120 },
+	{ id: 'hard-60', title: 'Hardened', description: 'Survive 60s on Hard',
+		test: (run, state) => state.difficulty === 'Hard' && state.time >= 60 },
+	{ id: 'first-delivery', title: 'Water Bearer', description: 'Deliver a jerry can of water to a village',
+		test: (run, state) => state.deliveries >= 1 },
+	{ id: 'score-500', title: 'Making a Splash', description: 'Score 500 points in one run',
+		test: (run, state) => state.score >= 500 },
+	{ id: 'stomps-100', title: 'Barrel Breaker', description: 'Stomp 100 barrels in total',
+		test: (run, state, stats) => stats.barrelsStomped + run.stomps >= 100 }
+];
+
+function loadAchievements() {
+	try {
+		const saved = JSON.parse(localStorage.getItem(ACHIEVEMENTS_KEY));
+		if (saved && typeof saved === 'object') return saved;
+	} catch (e) {
+		// corrupt save: treat everything as locked
+	}
+	return {};
+}
+
+let unlockedAchievements = loadAchievements();
+
+/* Tally the run's progress and unlock achievements as soon as they are earned */
+function attachAchievements(g) {
+	const run = { stomps: 0, stompChain: 0, bestStompChain: 0, jerryCans: 0, hits: 0, powerups: new Set() };
+
+	g.on(GameEvents.STOMP, () => {
+		run.stomps++;
+		run.stompChain++;
+		run.bestStompChain = Math.max(run.bestStompChain, run.stompChain);
+	});
+	g.on(GameEvents.LAND, () => { run.stompChain = 0; });
+	g.on(GameEvents.JERRY, () => { run.jerryCans++; });
+	g.on(GameEvents.LIFE_LOST, () => { run.hits++; });
+	g.on(GameEvents.FELL, () => { run.hits++; });
+	g.on(GameEvents.POWERUP_COLLECTED, (e) => { run.powerups.add(e.power); });
+
+	// check once per step, after that step's events have updated the tally
+	g.subscribe((state) => {
+		ACHIEVEMENTS.forEach(a => {
+			if (unlockedAchievements[a.id]) return;
+			if (!a.test(run, state, lifetimeStats)) return;
+			unlockedAchievements[a.id] = new Date().toISOString();
+			localStorage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(unlockedAchievements));
+			showAchievementToast(a);
+		});
+	});
+}
+
+/* Unlock toasts are queued so several unlocks in one moment show one after another */
+const achievementToastQueue = [];
+let achievementToastActive = false;
+
+function showAchievementToast(achievement) {
+	achievementToastQueue.push(achievement);
+	if (!achievementToastActive) showNextAchievementToast();
+}
+
+function showNextAchievementToast() {
+	const achievement = achievementToastQueue.shift();
+	if (!achievement || !canvasWrap) {
+		achievementToastActive = false;
+		return;
+	}
+	achievementToastActive = true;
+	playSound('powerup');
+
+	// same look as the floating popups, pinned to the top centre of the canvas
+	const el = document.createElement('div');
+	el.className = 'popup-floating popup-achievement';
+	el.setAttribute('role', 'status');
+	el.innerHTML = `<span class="achievement-label">Achievement unlocked</span><strong></strong>`;
+	el.querySelector('strong').textContent = achievement.title;
+	canvasWrap.appendChild(el);
+	requestAnimationFrame(() => {
+		requestAnimationFrame(() => { el.classList.add('show'); });
+	});
+
+	// hold for a moment, fade out, then show the next one
+	setTimeout(() => {
+		el.classList.remove('show');
+		setTimeout(() => {
+			el.remove();
+			showNextAchievementToast();
+		}, 700);
+	}, 2600);
+}
+
+/* List every achievement (locked ones greyed out) on the stats screen */
+function renderAchievements() {
+	const list = document.getElementById('achievements-list');
+	if (!list) return;
+	list.innerHTML = '';
+	ACHIEVEMENTS.forEach(a => {
+		const li = document.createElement('li');
+		const unlocked = !!unlockedAchievements[a.id];
+		li.className = unlocked ? 'unlocked' : 'locked';
+		li.innerHTML = `<strong></strong> <span></span>`;
+		li.querySelector('strong').textContent = `${unlocked ? '★' : '☆'} ${a.title}`;
+		li.querySelector('span').textContent = `– ${a.description}`;
+		list.appendChild(li);
+	});
+	const count = document.getElementById('achievements-count');
+	if (count) count.textContent = `${ACHIEVEMENTS.filter(a => unlockedAchievements[a.id]).length} / ${ACHIEVEMENTS.length}`;
+}
+
+/* ============
+   UI controls
+   ============ */
+function showStartScreen() {
+	startScreen.classList.remove('hidden');
+	gameArea.classList.add('hidden');
+	gameOverScreen.classList.add('hidden');
+	if (leaderboardScreen) leaderboardScreen.classList.add('hidden');
+	if (statsScreen) statsScreen.classList.add('hidden');
+	if (controlsScreen) controlsScreen.classList.add('hidden');
+	renderStageSelect();
+	// show highscore for the selected difficulty
+	highscore = getBestScore(currentDifficulty);
+	highscoreEl && (highscoreEl.textContent = `High: ${highscore}`);
+	// keyboard users start on the Start button (focus would otherwise be lost on a hidden screen)
+	startBtn.focus();
 }
 
 startBtn.addEventListener('click', () => {
+	// the Start button always plays endless mode; stages start from the stage select
+	currentLevel = null;
 	// enable audio for this session if not muted and play UI click SFX
 	audioEnabled = !muted;
 	playSound('click');
@@ -1565,6 +3971,41 @@ powerupImages.filter.src = 'img/Filter.PNG';
 powerupImages.pump.src   = 'img/Pump.PNG';
 powerupImages.well.src   = 'img/Well.PNG';
 
+// brand colour per powerup: fallback icon fill and HUD timer bar
+const powerupColors = {
+	filter: '#8BD1CB',
+	pump: '#FF902A',
+	well: '#159A48',
+	magnet: '#0b2948',
+	shield: '#2E9DF7',
+	slowmo: '#7b5cd6',
+	doubler: '#FFC907'
+};
+
+// colour for a powerup in the current display palette (the brand colour unless the palette changes it)
+function powerupColor(type) {
+	return palette().powerups[type] || powerupColors[type] || powerupColors.well;
+}
+
+// names shown in popups and menus
+const powerupLabels = {
+	filter: 'Filter',
+	pump: 'Pump',
+	well: 'Well',
+	magnet: 'Magnet',
+	shield: 'Shield',
+	slowmo: 'Slow-mo',
+	doubler: 'Double points'
+};
+
+// sound cue per powerup (anything missing plays 'powerup' as is)
+const powerupSounds = {
+	magnet: { name: 'powerup', rate: 1.25 },
+	shield: { name: 'stomp', rate: 0.75 },
+	slowmo: { name: 'powerup', rate: 0.7 },
+	doubler: { name: 'collect', rate: 1.3 }
+};
+
 // optional: log load errors to help debug 404s
 Object.keys(powerupImages).forEach(key => {
 	powerupImages[key].onerror = function() {
@@ -1581,16 +4022,19 @@ jerryImage.onerror = function() {
 
 /* =====================
    Audio: SFX and BGM loader & player
-   Place audio files in `audio/` (mp3 or ogg). If files are missing the game will continue silently.
+   Place audio files in `audio/` (ogg). Any missing file is replaced by a synthesized version
+   of that cue (and a generative loop for the music), as is every file with "Lightweight audio" on.
+   Files are fetched and decoded with Web Audio on the first click or key press, so (like
+   the campaign levels) the page has to be served over http(s) rather than opened as a file.
    Expected filenames (examples):
- 	 audio/jump.mp3         -> Jump splish/boing
- 	 audio/collect.mp3      -> Collectible chime
- 	 audio/hit.mp3          -> Obstacle hit (bonk)
- 	 audio/powerup.mp3      -> Power-up activation (whoosh/fanfare)
- 	 audio/stomp.mp3        -> Stomp on barrel
- 	 audio/click.mp3        -> Button click
- 	 audio/win.mp3          -> Win / game over flourish
- 	 audio/bgm.mp3          -> Loopable background music (low volume)
+ 	 audio/jump.ogg         -> Jump splish/boing
+ 	 audio/collect.ogg      -> Collectible chime
+ 	 audio/hit.ogg          -> Obstacle hit (bonk)
+ 	 audio/powerup.ogg      -> Power-up activation (whoosh/fanfare), ducks the music
+ 	 audio/stomp.ogg        -> Stomp on barrel
+ 	 audio/click.ogg        -> Button click
+ 	 audio/win.ogg          -> Win / delivery flourish, ducks the music
+ 	 audio/bgm.ogg          -> Loopable background music (music bus)
 =======================*/
 
 // (Definitions hoisted earlier in the file to ensure handlers like jump() can call playSound())
@@ -1600,9 +4044,31 @@ jerryImage.onerror = function() {
    Helpful comments / tips
    ======================
 - This implementation keeps a fixed logical canvas size (820x360) for predictable gameplay.
-- requestAnimationFrame() provides smooth animation; we compute dt (seconds between frames) so movement is time-based.
+- requestAnimationFrame() provides smooth animation; frame time feeds a fixed-step accumulator so movement is identical on every device.
 - Collision uses simple AABB (axis-aligned bounding box).
 - Powerups are simple and time-limited: filter (neutralize), pump (speed), well (+life).
-- localStorage stores the high score under key 'cdr-highscore'.
-- Audio is loaded from data-src when starting the game to avoid 404s before user interaction.
+  Magnet (pulls in drops), shield (absorbs one hit), slow-mo (slows the world)
+  and double points are timed too. Different powerups run at the same time; grabbing one that is already running extends it.
+  The bars in the top-left corner show how long each one has left.
+- After a hit the drop is knocked back and blinks: it can't be hurt again until it
+  stops (longer on Easy, shorter on Hard).
+- Clean drops fill the jerry-can water meter (top right). A full can brings a village:
+  run past it to deliver the water for a big bonus. Hits spill some of the water.
+- Stomps and clean drops chained in the air build a combo (x1.5, x2, ... up to x4);
+  landing or taking a hit ends it.
+- Lifetime stats (runs, stomps, hits, pickups, best runs) are saved under 'cdr-stats'.
+- Achievements live in the ACHIEVEMENTS array; add an entry with a test() to create a new one.
+- Down / S (or a swipe down) slides under overhead pipes; in the air it drops you fast.
+- Gaps in the ground end the run, rolling barrels come at you faster, puddles slow you down.
+- Campaign stages are JSON files in levels/ listed in levels/index.json. They load with
+  fetch(), so serve the folder (e.g. Live Server) rather than opening index.html directly.
+- localStorage stores a top-10 leaderboard per difficulty under 'cdr-leaderboard' (older 'cdr-highscore' values are migrated).
+- The simulation lives in game-core.js (createGame) and never touches the DOM, so it also runs in Node.
+- Gameplay randomness uses a seeded generator per run; add ?seed=123 to the URL to replay a seed.
+- The simulation runs in fixed 1/120s steps (SIM_STEP); drawGame(alpha) interpolates between steps.
+- renderFrame() wraps drawGame() in the camera (shake, zoom pulse, hit-stop, game over finale);
+  the "Motion" select on the start screen scales shake and zoom (full, reduced to a quarter, or off).
+- Every run is recorded (seed, difficulty, step count, inputs) and saved as 'cdr-last-replay' for the replay viewer.
+- Audio files are fetched and decoded into Web Audio buffers on the first click or key press
+  (nothing is downloaded before then); a file that fails falls back to its synth version.
 */